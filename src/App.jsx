@@ -1,6 +1,125 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import MobileSummaryBar from "./components/MobileSummaryBar.jsx";
 import LocationModal from "./components/LocationModal.jsx";
+import TripMap from "./components/TripMap.jsx";
+import SavedTrips from "./components/SavedTrips.jsx";
+import ItineraryEditor from "./components/ItineraryEditor.jsx";
+import HistoryControls from "./components/HistoryControls.jsx";
+import TravellerList from "./components/TravellerList.jsx";
+import RoomPicker from "./components/RoomPicker.jsx";
+import {
+  assignFerrySailings,
+  buildTimetable,
+  isTransitItem,
+  toMinutes,
+  weekdayOf,
+} from "./lib/ferries.js";
+import {
+  buildRouteGraph,
+  connectionDays,
+  durationLabel,
+  findConnection,
+  legFarePerAdult,
+} from "./lib/routes.js";
+import { optimiseIslandOrder } from "./lib/islandOrder.js";
+import {
+  dayFits,
+  parseBestTimes,
+  scheduleDay,
+  timelineOf,
+} from "./lib/scheduler.js";
+import {
+  formatShowTimes,
+  isClosedOn,
+} from "./lib/openingHours.js";
+import {
+  dayRoute,
+  estimateRoadKm,
+  optimiseStopOrder,
+  priceRoute,
+} from "./lib/roads.js";
+import { hasCoords } from "./lib/geo.js";
+import { buildIndex, formatLinkReport, linkData } from "./lib/dataLinks.js";
+import {
+  DEFAULT_ISLANDS,
+  PORT_BLAIR,
+  islandsForCodes,
+  normalizeIslandName,
+  shortIslandName,
+} from "./lib/islands.js";
+import {
+  inSeason,
+  inSeasonDuring,
+  isMonsoon,
+  seasonLabel,
+  tripMonthsLabel,
+} from "./lib/seasons.js";
+import { priceActivity, unitLabel } from "./lib/pricing.js";
+import {
+  normalizeRateCalendar,
+  priceOn,
+  rateNote,
+} from "./lib/rateCalendar.js";
+import {
+  mergeStay,
+  splitStay,
+  stayIsland,
+  staySegments,
+  tripNights,
+} from "./lib/stays.js";
+import {
+  HOTEL_SORTS,
+  HOTEL_TIERS,
+  allocateRooms,
+  allocationCounts,
+  allocationLabel,
+  distanceToSights,
+  filterAndSortHotels,
+  fromPrice,
+  hotelsByIsland,
+  normalizeHotels,
+  roomTypeLabel,
+  stayCost,
+} from "./lib/hotels.js";
+import {
+  DEFAULT_TRAVELLERS,
+  describeParty,
+  ferryFareUnits,
+  partyBlockers,
+} from "./lib/travellers.js";
+import {
+  activeTrip,
+  deserializeTrip,
+  loadTripStore,
+  newTripId,
+  removeTrip,
+  renameTrip,
+  saveTripStore,
+  serializeTrip,
+  upsertTrip,
+} from "./lib/tripStorage.js";
+import { readSharedTrip, shareUrl } from "./lib/shareLink.js";
+import {
+  canDropItem,
+  dayMoveRange,
+  isLockedItem,
+  moveDay,
+  moveItemTo,
+} from "./lib/itineraryEdit.js";
+import {
+  hasBlockingIssues,
+  issuesByDay,
+  validateItinerary,
+} from "./lib/validation.js";
+import {
+  createHistory,
+  historyEntries,
+  jumpTo,
+  rebaseHistory,
+  recordChange,
+  redo,
+  undo,
+} from "./lib/history.js";
 
 /* -----------------------------
    Helpers
@@ -57,13 +176,14 @@ function getDurationHrs(loc) {
     if (s.includes("full day")) return 6; // ~6h
     if (s.includes("half day")) return 3; // ~3h
 
-    // ranges like "1.5–2 hours" or "2-3 hours"
-    const range = s.match(/([\d.]+)\s*[–-]\s*([\d.]+)/);
+    // ranges like "1.5–2 hours", "2-3 hours" or "45–60 minutes"
+    const range = s.match(/([\d.]+)\s*[–-]\s*([\d.]+)\s*(min)?/);
     if (range) {
       const a = parseFloat(range[1]);
       const b = parseFloat(range[2]);
       if (isFinite(a) && isFinite(b)) {
-        return Math.max(1, Math.round((a + b) / 2));
+        const mid = (a + b) / 2;
+        return Math.max(1, Math.round(range[3] ? mid / 60 : mid));
       }
     }
 
@@ -118,31 +238,6 @@ function inferMoods(loc) {
   return Array.from(moods);
 }
 
-function normalizeIslandName(rawIsland) {
-  if (!rawIsland) return "Port Blair (South Andaman)";
-  const s = String(rawIsland).trim();
-  if (/^port blair/i.test(s)) return "Port Blair (South Andaman)";
-  if (/havelock/i.test(s)) return "Havelock (Swaraj Dweep)";
-  if (/neil/i.test(s) || /shaheed dweep/i.test(s)) return "Neil (Shaheed Dweep)";
-  if (/long island/i.test(s)) return "Long Island (Middle Andaman)";
-  if (/rangat/i.test(s)) return "Rangat (Middle Andaman)";
-  if (/mayabunder/i.test(s)) return "Mayabunder (Middle Andaman)";
-  if (/diglipur|north andaman/i.test(s)) return "Diglipur (North Andaman)";
-  if (/little andaman|hut bay/i.test(s)) return "Little Andaman";
-  return s;
-}
-
-const DEFAULT_ISLANDS = [
-  "Port Blair (South Andaman)",
-  "Havelock (Swaraj Dweep)",
-  "Neil (Shaheed Dweep)",
-  "Long Island (Middle Andaman)",
-  "Rangat (Middle Andaman)",
-  "Mayabunder (Middle Andaman)",
-  "Diglipur (North Andaman)",
-  "Little Andaman",
-];
-
 // Pricing
 const FERRY_BASE_ECON = 1500;
 const FERRY_CLASS_MULT = { Economy: 1, Deluxe: 1.4, Luxury: 1.9 };
@@ -154,12 +249,151 @@ const CAB_MODELS = [
   { id: "traveller", label: "Tempo Traveller (12)", dayRate: 5200 },
 ];
 
-const P2P_RATE_PER_HOP = 500;
+// Point-to-point taxis: every hop is metered from the flag fare
+const P2P_TARIFF = { flagFare: 150, perKm: 22, minFare: 300 };
+// Day cabs include this much driving; beyond it, per km
+const CAB_INCLUDED_KM = 80;
+const CAB_EXTRA_PER_KM = 20;
 const SCOOTER_DAY_RATE = 800;
 const BICYCLE_DAY_RATE = 400;
 
 const SEATMAP_URL = "https://seatmap.example.com";
 
+// A fresh trip (also the fallback for anything a saved trip lacks)
+const TRIP_DEFAULTS = {
+  step: 0,
+  startDate: "",
+  travellers: DEFAULT_TRAVELLERS,
+  startPB: true,
+  endIsland: "", // "" = no preference
+  selectedIds: [],
+  days: [],
+  chosenHotels: {},
+  // hotels and rooms are picked per stay (see lib/stays.js):
+  //   chosenHotels { stayKey: hotelId }
+  //   roomPlans    { stayKey: { hotelId, rooms: { roomTypeId: n } } }
+  roomPlans: {},
+  staySplits: {}, // { runKey: [offset] } — runs split between hotels
+  essentials: { ferryClass: "Deluxe", cabModelId: CAB_MODELS[1].id },
+  // "" = not known yet (the scheduler assumes a mid-morning landing and an
+  // early-afternoon flight out)
+  flights: {
+    arrivalNumber: "",
+    arrivalTime: "",
+    departureNumber: "",
+    departureTime: "",
+  },
+  addonIds: [],
+  daysEdited: false, // days changed by hand since they were generated
+};
+
+const blankTrip = () => ({
+  ...TRIP_DEFAULTS,
+  scooterIslands: new Set(),
+  bicycleIslands: new Set(),
+});
+
+const withTripDefaults = (state) => ({
+  ...blankTrip(),
+  ...state,
+  essentials: { ...TRIP_DEFAULTS.essentials, ...(state?.essentials || {}) },
+  flights: { ...TRIP_DEFAULTS.flights, ...(state?.flights || {}) },
+  travellers: state?.travellers?.length
+    ? state.travellers
+    : TRIP_DEFAULTS.travellers,
+});
+
+// Trip settings the island order and day split depend on
+const settingsKey = (t) =>
+  JSON.stringify([
+    t.startPB,
+    t.endIsland,
+    t.startDate,
+    t.flights?.arrivalTime || "",
+    t.flights?.departureTime || "",
+  ]);
+
+// What the scheduler needs from the flights
+const flightTimes = (flights) => ({
+  arrivalTime: flights?.arrivalTime || undefined,
+  departureTime: flights?.departureTime || undefined,
+});
+
+// A short name for one step in the undo history. `prev` / `next` are trip
+// docs, `keys` the fields that differ.
+function describePlanChange(prev, next, keys, { locById, activities }) {
+  const listChange = (a = [], b = [], nameOf, noun) => {
+    const added = b.filter((id) => !a.includes(id));
+    const removed = a.filter((id) => !b.includes(id));
+    const one = (ids) =>
+      ids.length === 1 ? nameOf(ids[0]) : `${ids.length} ${noun}`;
+    if (added.length && !removed.length) return `Added ${one(added)}`;
+    if (removed.length && !added.length) return `Removed ${one(removed)}`;
+    return `Changed ${noun}`;
+  };
+
+  if (keys.includes("selectedIds")) {
+    return listChange(
+      prev.selectedIds,
+      next.selectedIds,
+      (id) => locById[id]?.name || "a place",
+      "places"
+    );
+  }
+  if (keys.includes("addonIds")) {
+    return listChange(
+      prev.addonIds,
+      next.addonIds,
+      (id) => activities.find((a) => a.id === id)?.name || "an adventure",
+      "adventures"
+    );
+  }
+  if (keys.includes("chosenHotels")) {
+    const both = { ...prev.chosenHotels, ...next.chosenHotels };
+    const key = Object.keys(both).find(
+      (k) => prev.chosenHotels?.[k] !== next.chosenHotels?.[k]
+    );
+    return key ? `Hotel on ${shortIslandName(stayIsland(key))}` : "Hotels";
+  }
+  if (keys.includes("staySplits")) return "Split hotel stays";
+  if (keys.includes("roomPlans")) return "Hotel rooms";
+  if (keys.includes("essentials")) {
+    return prev.essentials?.ferryClass !== next.essentials?.ferryClass
+      ? `Ferry class: ${next.essentials?.ferryClass}`
+      : "Cab model";
+  }
+  if (keys.includes("scooterIslands")) return "Scooter rental";
+  if (keys.includes("bicycleIslands")) return "Bicycle rental";
+  if (keys.includes("startDate")) return "Start date";
+  if (keys.includes("flights")) return "Flight details";
+  if (keys.includes("travellers")) return "Travellers";
+  if (keys.includes("startPB") || keys.includes("endIsland")) {
+    return "Start & end islands";
+  }
+  if (!keys.includes("days")) return "Edit";
+
+  const a = prev.days || [];
+  const b = next.days || [];
+  if (b.length > a.length) return "Added a day";
+  if (b.length < a.length) return "Deleted a day";
+  const dayOf = (list, ref) =>
+    list.findIndex((d) => d.items.some((it) => it.ref === ref));
+  const moved = b
+    .flatMap((d) => d.items)
+    .find((it) => it.ref && dayOf(a, it.ref) !== dayOf(b, it.ref));
+  if (moved) return `Moved ${moved.name} to Day ${dayOf(b, moved.ref) + 1}`;
+  const changed = b.findIndex(
+    (d, i) => JSON.stringify(d) !== JSON.stringify(a[i])
+  );
+  if (changed < 0) return "Edited itinerary";
+  if (b[changed].transport !== a[changed].transport) {
+    return `Transport on Day ${changed + 1}`;
+  }
+  return a[changed].island === b[changed].island
+    ? `Reordered Day ${changed + 1}`
+    : "Edited itinerary";
+}
+
 /* -----------------------------------
    Itinerary generator
 ------------------------------------ */
@@ -175,12 +409,126 @@ function orderByBestTime(items) {
   return [...items].sort((a, b) => rank(a) - rank(b));
 }
 
-// Always: Day 1 = arrival at IXZ
-// Always: last day = mandatory departure from IXZ
-function generateItineraryDays(selectedLocs, startFromPB = true) {
+// The old ordering: DEFAULT_ISLANDS position, optionally Port Blair first.
+// Kept as the baseline the optimiser is compared against.
+function naiveIslandOrder(islands, startFromPB) {
+  const PB = PORT_BLAIR;
+  const sorted = [...islands].sort(
+    (a, b) => DEFAULT_ISLANDS.indexOf(a) - DEFAULT_ISLANDS.indexOf(b)
+  );
+  return startFromPB && sorted.includes(PB)
+    ? [PB, ...sorted.filter((x) => x !== PB)]
+    : sorted;
+}
+
+function planIslandOrder(islands, startFromPB, opts = {}) {
+  return optimiseIslandOrder(islands, opts.routeGraph, {
+    home: PORT_BLAIR,
+    homeFirst: startFromPB,
+    endIsland: opts.endIsland,
+    naiveOrder: naiveIslandOrder(islands, startFromPB),
+  });
+}
+
+// A planned sightseeing day holds at most this much
+const MAX_HOURS_PER_DAY = 7;
+const MAX_STOPS_PER_DAY = 4;
+
+// Landing by this time leaves the rest of Day 1 for sights near the
+// airport ("near" = this many road km from the Port Blair base)
+const ARRIVAL_DAY_LATEST = "12:00";
+const ARRIVAL_DAY_RADIUS_KM = 12;
+
+const locDurationHrs = (loc) =>
+  Number.isFinite(loc.durationHrs) ? loc.durationHrs : getDurationHrs(loc);
+
+const locationItem = (loc) => ({
+  type: "location",
+  ref: loc.id,
+  name: loc.name,
+  durationHrs: locDurationHrs(loc),
+  bestTimes: loc.bestTimes || [],
+});
+
+const defaultTransport = (island, stops) =>
+  stops >= 3
+    ? "Day Cab"
+    : /Havelock|Neil/.test(island)
+    ? "Scooter"
+    : "Point-to-Point";
+
+const isStayDay = (day) =>
+  !day.items.some(
+    (it) => isTransitItem(it) || it.type === "arrival" || it.type === "departure"
+  );
+
+// Hours a day's sights and adventures take out of its budget
+const dayHours = (day) =>
+  day.items.reduce(
+    (acc, it) =>
+      acc +
+      (it.type === "location"
+        ? it.durationHrs || 0
+        : it.type === "activity"
+        ? (it.durationMin || 0) / 60
+        : 0),
+    0
+  );
+
+// Closed every day of the week: no point waiting for it to open
+const opensSomeDay = (loc) => (loc.closedDays || []).length < 7;
+
+// Can `loc` join this day? Same limits the generator fills days with.
+// `times` are the flight times, for the arrival day.
+function canAddToDay(day, loc, { date, locById, times }) {
+  const stops = day.items.filter((it) => it.type === "location");
+  return (
+    !isClosedOn(loc, date) &&
+    stops.length < MAX_STOPS_PER_DAY &&
+    dayHours(day) + locDurationHrs(loc) <= MAX_HOURS_PER_DAY &&
+    dayFits(
+      { ...day, items: [...day.items, locationItem(loc)] },
+      { locById, ...times }
+    )
+  );
+}
+
+// A day's sights in the order they happen
+const timelineStops = (day) =>
+  timelineOf(day)
+    .map(({ it }) => it)
+    .filter((it) => it.type === "location");
+
+// The day's items in `order` (item indices, e.g. its timeline) with only
+// the sights swapped into the order with the least driving. The day is
+// marked `ordered` so the scheduler keeps them that way.
+function shortestStopOrder(day, order, opts) {
+  const stops = order.filter((k) => day.items[k].type === "location");
+  const best = optimiseStopOrder(
+    stops.map((k) => day.items[k]),
+    opts
+  ).map((it) => day.items.indexOf(it));
+  let n = 0;
+  return {
+    ...day,
+    items: order.map((k) => day.items[stops.includes(k) ? best[n++] : k]),
+    ordered: true,
+  };
+}
+
+// Always: Day 1 = arrival at IXZ (plus nearby sights after a morning landing)
+// Always: last day = mandatory departure from IXZ, with nothing else
+// planned that morning
+// Island changes use the route graph, so a move without a direct boat
+// becomes several legs (e.g. Neil → Port Blair → Diglipur).
+// Islands are visited in the order with the least travel (see islandOrder.js).
+// With a startDate, sights are kept off their weekly closed days.
+// With island `ports`, each day's stops are ordered for the shortest drive.
+function generateItineraryDays(selectedLocs, startFromPB = true, opts = {}) {
+  const { routeGraph, endIsland, startDate, ports, flights } = opts;
   const days = [];
-  const PB = "Port Blair (South Andaman)";
-  const maxHoursPerDay = 7;
+  const PB = PORT_BLAIR;
+  const locById = Object.fromEntries(selectedLocs.map((l) => [l.id, l]));
 
   // --- Day 1: arrival at Port Blair ---
   days.push({
@@ -210,98 +558,109 @@ function generateItineraryDays(selectedLocs, startFromPB = true) {
     byIsland[isl].push(l);
   });
 
-  // Island visiting order
-  let islandOrder = Object.keys(byIsland).sort(
-    (a, b) => DEFAULT_ISLANDS.indexOf(a) - DEFAULT_ISLANDS.indexOf(b)
-  );
-
-  if (startFromPB) {
-    if (islandOrder.includes(PB)) {
-      islandOrder = [PB, ...islandOrder.filter((x) => x !== PB)];
-    } else {
-      islandOrder = [PB, ...islandOrder];
+  // Morning landing: fill the afternoon with the closest Port Blair sights
+  const base = ports?.[PB];
+  const arrivalTime = flights?.arrivalTime;
+  if (
+    base &&
+    byIsland[PB] &&
+    arrivalTime &&
+    toMinutes(arrivalTime) <= toMinutes(ARRIVAL_DAY_LATEST)
+  ) {
+    const distance = (l) => estimateRoadKm(base, l.coordinates, PB);
+    const near = byIsland[PB]
+      .filter((l) => hasCoords(l.coordinates))
+      .filter((l) => distance(l) <= ARRIVAL_DAY_RADIUS_KM)
+      .sort((a, b) => distance(a) - distance(b));
+    const picked = [];
+    near.forEach((loc) => {
+      const day = {
+        ...days[0],
+        items: [...days[0].items, ...picked.map(locationItem)],
+      };
+      const date = startDate || null;
+      const times = flightTimes(flights);
+      if (canAddToDay(day, loc, { date, locById, times })) picked.push(loc);
+    });
+    if (picked.length) {
+      days[0].items.push(
+        ...optimiseStopOrder(picked, { base, island: PB }).map(locationItem)
+      );
+      byIsland[PB] = byIsland[PB].filter((l) => !picked.includes(l));
+      if (!byIsland[PB].length) delete byIsland[PB];
     }
   }
 
+  // Island visiting order (the trip itself always starts at Port Blair)
+  const islandOrder = planIslandOrder(Object.keys(byIsland), startFromPB, {
+    routeGraph,
+    endIsland,
+  }).order;
+  let currentIsland = PB;
+
   // For each island, group locations into days (~7 hours each)
-  islandOrder.forEach((island, idx) => {
+  islandOrder.forEach((island) => {
+    // Ferry / road legs to reach this island (over several days when the
+    // connections don't line up)
+    if (island !== currentIsland) {
+      connectionDays(routeGraph, currentIsland, island).forEach((items) =>
+        days.push({ island: items[0].from, items, transport: "—" })
+      );
+      currentIsland = island;
+    }
+
     const locs = orderByBestTime(byIsland[island] || []);
     let bucket = [];
-    let timeUsed = 0;
 
     const flushBucket = () => {
       if (!bucket.length) return;
+      const stops = optimiseStopOrder(bucket, {
+        base: ports?.[island],
+        island,
+      });
       days.push({
         island,
-        items: bucket.map((loc) => ({
-          type: "location",
-          ref: loc.id,
-          name: loc.name,
-          durationHrs: Number.isFinite(loc.durationHrs)
-            ? loc.durationHrs
-            : getDurationHrs(loc),
-          bestTimes: loc.bestTimes || [],
-        })),
-        transport:
-          bucket.length >= 3
-            ? "Day Cab"
-            : /Havelock|Neil/.test(island)
-            ? "Scooter"
-            : "Point-to-Point",
+        items: stops.map(locationItem),
+        transport: defaultTransport(island, bucket.length),
       });
       bucket = [];
-      timeUsed = 0;
     };
 
-    locs.forEach((loc) => {
-      const dur = Number.isFinite(loc.durationHrs)
-        ? loc.durationHrs
-        : getDurationHrs(loc);
-      const wouldBe = timeUsed + dur;
+    // Fill one day at a time; whatever doesn't make it waits for the next
+    let queue = locs;
+    while (queue.length) {
+      const date = startDate ? addDays(startDate, days.length) : null;
+      const later = [];
+
+      queue.forEach((loc) => {
+        // Skip this day if the place is closed, adding it exceeds 7h, the
+        // bucket already has 4 spots or the timeline (drives, opening hours,
+        // sunrise/sunset slots) can't fit it
+        const day = { island, items: bucket.map(locationItem) };
+        if (canAddToDay(day, loc, { date, locById })) bucket.push(loc);
+        else later.push(loc);
+      });
 
-      // If adding this location exceeds 7h or bucket already has 4 spots,
-      // start a new day
-      if (bucket.length >= 4 || wouldBe > maxHoursPerDay) {
-        flushBucket();
+      // Nothing fits on its own (e.g. a full-day trek): give it a day anyway,
+      // as long as it's open. When everything left is closed today, the day
+      // stays free and they wait for the next day they're open.
+      if (!bucket.length) {
+        const open = later.findIndex(
+          (loc) => !isClosedOn(loc, date) || !opensSomeDay(loc)
+        );
+        if (open >= 0) bucket.push(...later.splice(open, 1));
       }
-
-      bucket.push(loc);
-      timeUsed += dur;
-    });
-
-    // Flush any remaining locations for this island
-    flushBucket();
-
-    // Add a ferry leg to the next island, if any
-    const nextIsland = islandOrder[idx + 1];
-    if (nextIsland) {
-      days.push({
-        island,
-        items: [
-          {
-            type: "ferry",
-            name: `Ferry ${island} → ${nextIsland}`,
-            time: "08:00–09:30",
-          },
-        ],
-        transport: "—",
-      });
+      if (bucket.length) flushBucket();
+      else days.push({ island, items: [], transport: "Point-to-Point" });
+      queue = later;
     }
   });
 
   // Return to Port Blair if last island is different
-  const lastIsland = days[days.length - 1]?.island;
-  if (lastIsland && lastIsland !== PB) {
-    days.push({
-      island: lastIsland,
-      items: [
-        {
-          type: "ferry",
-          name: `Ferry ${lastIsland} → ${PB}`,
-        },
-      ],
-      transport: "—",
-    });
+  if (currentIsland !== PB) {
+    connectionDays(routeGraph, currentIsland, PB).forEach((items) =>
+      days.push({ island: items[0].from, items, transport: "—" })
+    );
   }
 
   // Final mandatory departure day at Port Blair
@@ -314,6 +673,202 @@ function generateItineraryDays(selectedLocs, startFromPB = true) {
   return days;
 }
 
+// Door-to-door minutes between islands (a day when they aren't connected)
+const islandTravelMin = (graph, a, b) =>
+  a === b ? 0 : findConnection(graph, a, b)?.durationMin ?? 24 * 60;
+
+// One new place into an existing itinerary, disturbing as little as
+// possible: the existing day on its island that fits it with the least
+// extra driving, else a new day after the island's last day, else a new
+// island visit spliced in wherever it adds the least ferry/road time.
+function insertLocation(days, loc, opts) {
+  const { routeGraph, startDate, ports, locById, times } = opts;
+  const island = loc.island || PORT_BLAIR;
+  const item = locationItem(loc);
+  const dateOf = (i) => (startDate ? addDays(startDate, i) : null);
+  const routeKm = (items) =>
+    dayRoute(
+      items.filter((it) => it.type === "location"),
+      {
+        base: ports?.[island],
+        island,
+        coordsOf: (it) => locById[it.ref]?.coordinates,
+      }
+    ).km;
+
+  const stays = days
+    .map((day, i) => ({ day, i }))
+    .filter(({ day }) => day.island === island && isStayDay(day));
+
+  // 1) An existing day on the island
+  const best = stays
+    .filter(({ day, i }) =>
+      canAddToDay(day, loc, { date: dateOf(i), locById, times })
+    )
+    .map(({ day, i }) => ({
+      i,
+      extraKm: routeKm([...day.items, item]) - routeKm(day.items),
+    }))
+    .sort((a, b) => a.extraKm - b.extraKm)[0];
+  if (best) {
+    return days.map((day, i) =>
+      i === best.i ? { ...day, items: [...day.items, item] } : day
+    );
+  }
+
+  const newDay = { island, items: [item], transport: defaultTransport(island, 1) };
+
+  // 2) A new day right after the island's last day
+  if (stays.length) {
+    const at = stays[stays.length - 1].i + 1;
+    return [...days.slice(0, at), newDay, ...days.slice(at)];
+  }
+
+  // 3) A new island: try every gap between two days the traveller spends
+  // somewhere (arrival, sightseeing, departure) and replace the travel in
+  // that gap with a detour via the new island
+  const anchors = days
+    .map((day, i) => ({ day, i }))
+    .filter(({ day }) => !day.items.some(isTransitItem));
+  let gap = null;
+  anchors.slice(0, -1).forEach(({ day: a, i }, n) => {
+    const { day: b, i: j } = anchors[n + 1];
+    const extra =
+      islandTravelMin(routeGraph, a.island, island) +
+      islandTravelMin(routeGraph, island, b.island) -
+      islandTravelMin(routeGraph, a.island, b.island);
+    if (!gap || extra < gap.extra) gap = { from: i, to: j, extra, a, b };
+  });
+  if (!gap) return [...days, newDay];
+
+  const travel = (from, to) =>
+    from === to
+      ? []
+      : connectionDays(routeGraph, from, to).map((items) => ({
+          island: items[0].from,
+          items,
+          transport: "—",
+        }));
+  return [
+    ...days.slice(0, gap.from + 1),
+    ...travel(gap.a.island, island),
+    newDay,
+    ...travel(island, gap.b.island),
+    ...days.slice(gap.to),
+  ];
+}
+
+// Apply a selection change to an existing itinerary: removed places drop
+// out of their day, added ones are inserted one by one (see above). Manual
+// moves, extra/deleted days and transport choices are left alone.
+function mergeSelection(days, { added, removedIds }, opts) {
+  const removed = new Set(removedIds);
+  let out = days.map((day) => ({
+    ...day,
+    items: day.items.filter(
+      (it) => !(it.type === "location" && removed.has(it.ref))
+    ),
+  }));
+  orderByBestTime(added).forEach((loc) => {
+    out = insertLocation(out, loc, opts);
+  });
+  return out;
+}
+
+/* -----------------------------------
+   Adventures in the itinerary
+------------------------------------ */
+
+const activityItem = (act) => ({
+  type: "activity",
+  ref: act.id,
+  name: act.name,
+  durationMin: Number(act.durationMin) || 120,
+  bestTimes: parseBestTimes(act.name),
+});
+
+// Does `act` run on this day's island (no operatedIn = anywhere), and, when
+// the date is known, in season?
+function activityFitsDay(day, act, date) {
+  const islands = islandsForCodes(act.operatedIn);
+  return (
+    (!islands.length || islands.includes(day.island)) &&
+    inSeason(act.season, date)
+  );
+}
+
+function canAddActivity(day, act, { date, locById, times }) {
+  const item = activityItem(act);
+  return (
+    isStayDay(day) &&
+    activityFitsDay(day, act, date) &&
+    dayHours(day) + item.durationMin / 60 <= MAX_HOURS_PER_DAY &&
+    dayFits({ ...day, items: [...day.items, item] }, { locById, ...times })
+  );
+}
+
+// A chosen adventure goes on the sightseeing day with the most time to
+// spare on an island where it runs, else on a new day after the last day
+// spent there. With nowhere in season (or an adventure longer than a day)
+// the days come back unchanged.
+function placeActivity(days, act, opts) {
+  const { startDate, locById, times } = opts;
+  const dateOf = (i) => (startDate ? addDays(startDate, i) : null);
+  const item = activityItem(act);
+
+  const best = days
+    .map((day, i) => ({ day, i }))
+    .filter(({ day, i }) =>
+      canAddActivity(day, act, { ...opts, date: dateOf(i) })
+    )
+    .sort((a, b) => dayHours(a.day) - dayHours(b.day) || a.i - b.i)[0];
+  if (best) {
+    return days.map((day, i) =>
+      i === best.i ? { ...day, items: [...day.items, item] } : day
+    );
+  }
+
+  const canHost = (day) =>
+    !day.items.some((it) => isTransitItem(it) || it.type === "departure") &&
+    activityFitsDay(day, act, null);
+  let last = days.length - 1;
+  while (last >= 0 && !canHost(days[last])) last -= 1;
+  if (last < 0 || !inSeason(act.season, dateOf(last + 1))) return days;
+  const island = days[last].island;
+  const newDay = {
+    island,
+    items: [item],
+    transport: defaultTransport(island, 1),
+  };
+  if (!dayFits(newDay, { locById, ...times })) return days;
+  return [...days.slice(0, last + 1), newDay, ...days.slice(last + 1)];
+}
+
+// Keep activity items in step with the chosen add-ons: dropped ones leave
+// their day, new ones are placed as above, and ones the traveller has moved
+// stay put. Returns `days` itself when nothing changes.
+function syncActivities(days, addonIds, opts) {
+  const chosen = new Set(addonIds);
+  let out = days.map((day) => {
+    const items = day.items.filter(
+      (it) => it.type !== "activity" || chosen.has(it.ref)
+    );
+    return items.length === day.items.length ? day : { ...day, items };
+  });
+  const placed = new Set(
+    out.flatMap((day) =>
+      day.items.filter((it) => it.type === "activity").map((it) => it.ref)
+    )
+  );
+  addonIds.forEach((id) => {
+    const act = opts.activityById[id];
+    if (act && !placed.has(id)) out = placeActivity(out, act, opts);
+  });
+  const same =
+    out.length === days.length && out.every((day, i) => day === days[i]);
+  return same ? days : out;
+}
+
 /* -----------------------------------
    Main App component
 ------------------------------------ */
@@ -323,35 +878,90 @@ export default function App() {
   const [rawLocations, setRawLocations] = useState([]);
   const [activities, setActivities] = useState([]);
   const [locAdventures, setLocAdventures] = useState([]);
+  const [ferryRoutes, setFerryRoutes] = useState([]);
+  const [islandOutlines, setIslandOutlines] = useState(null);
+  const [hotels, setHotels] = useState([]);
+  // Holiday dates of the rate calendar (see rateCalendar.js)
+  const [holidays, setHolidays] = useState([]);
   const [dataStatus, setDataStatus] = useState("loading"); // loading | ready | error
 
   // Location detail modal
   const [openLoc, setOpenLoc] = useState(null);
 
+  // A shared link (#trip=…) opens as a new saved trip; otherwise the active
+  // saved trip is restored. Both happen before the first render.
+  const [sharedTrip] = useState(() =>
+    typeof window !== "undefined" ? readSharedTrip(window.location) : null
+  );
+  const [tripStore, setTripStore] = useState(() => {
+    const store = loadTripStore();
+    if (sharedTrip) {
+      const id = newTripId();
+      return {
+        ...upsertTrip(store, id, sharedTrip, "Shared trip"),
+        activeId: id,
+      };
+    }
+    return store.activeId ? store : { ...store, activeId: newTripId() };
+  });
+  const [initialTrip] = useState(() =>
+    withTripDefaults(deserializeTrip(activeTrip(tripStore)?.doc) || {})
+  );
+  const [tripSaveOk, setTripSaveOk] = useState(true);
+  const [shareStatus, setShareStatus] = useState("");
+
   // Trip basics
-  const [step, setStep] = useState(0);
-  const [startDate, setStartDate] = useState("");
-  const [adults, setAdults] = useState(2);
-  const [infants, setInfants] = useState(0);
-  const [startPB, setStartPB] = useState(true);
+  const [step, setStep] = useState(initialTrip.step);
+  const [startDate, setStartDate] = useState(initialTrip.startDate);
+  const [travellers, setTravellers] = useState(initialTrip.travellers);
+  const [startPB, setStartPB] = useState(initialTrip.startPB);
+  const [endIsland, setEndIsland] = useState(initialTrip.endIsland);
+  const [flights, setFlights] = useState(initialTrip.flights);
 
   // Location selection
-  const [selectedIds, setSelectedIds] = useState([]);
+  const [selectedIds, setSelectedIds] = useState(initialTrip.selectedIds);
   const [islandFilter, setIslandFilter] = useState("All");
   const [moodFilter, setMoodFilter] = useState("All");
+  const [hideOffSeason, setHideOffSeason] = useState(false);
+  const [hotelFilters, setHotelFilters] = useState({
+    tier: "All",
+    maxPrice: 0,
+    minRating: 0,
+    sort: "price",
+  });
 
   // Itinerary / transport
-  const [days, setDays] = useState([]);
-  const [scooterIslands, setScooterIslands] = useState(() => new Set());
-  const [bicycleIslands, setBicycleIslands] = useState(() => new Set());
-  const [chosenHotels, setChosenHotels] = useState({});
-  const [essentials, setEssentials] = useState({
-    ferryClass: "Deluxe",
-    cabModelId: CAB_MODELS[1].id,
-  });
+  const [days, setDays] = useState(initialTrip.days);
+  const [scooterIslands, setScooterIslands] = useState(
+    initialTrip.scooterIslands
+  );
+  const [bicycleIslands, setBicycleIslands] = useState(
+    initialTrip.bicycleIslands
+  );
+  const [chosenHotels, setChosenHotels] = useState(initialTrip.chosenHotels);
+  const [roomPlans, setRoomPlans] = useState(initialTrip.roomPlans);
+  const [staySplits, setStaySplits] = useState(initialTrip.staySplits);
+  const [essentials, setEssentials] = useState(initialTrip.essentials);
 
   // Adventures
-  const [addonIds, setAddonIds] = useState([]);
+  const [addonIds, setAddonIds] = useState(initialTrip.addonIds);
+
+  const [daysEdited, setDaysEdited] = useState(initialTrip.daysEdited);
+
+  // What the current days were built from: the selection they contain and
+  // the settings they were last generated with
+  const planBasis = useRef(
+    initialTrip.days.length
+      ? { ids: initialTrip.selectedIds, key: settingsKey(initialTrip) }
+      : null
+  );
+  const dataSeen = useRef(false);
+
+  // Undo / redo over every planning change (not the current step, so
+  // moving between steps neither adds to nor loses the history)
+  const [history, setHistory] = useState(null);
+  const resetHistoryNext = useRef(true);
+  const historySilent = useRef(false);
 
   // Load JSON data once
   useEffect(() => {
@@ -379,19 +989,37 @@ export default function App() {
 
     (async () => {
       try {
-        const [locs, acts, map] = await Promise.all([
-          fetchJSON("/data/locations.json", "locations"),
-          fetchJSON("/data/activities.json", "activities"),
-          fetchJSON("/data/location_adventures.json", "location_adventures"),
-        ]);
+        const [locs, acts, map, ferries, outlines, hotelData, calendar] =
+          await Promise.all([
+            fetchJSON("/data/locations.json", "locations"),
+            fetchJSON("/data/activities.json", "activities"),
+            fetchJSON("/data/location_adventures.json", "location_adventures"),
+            fetchJSON("/data/ferries.json", "ferries"),
+            fetchJSON("/data/island_outlines.json", "island_outlines"),
+            fetchJSON("/data/hotels.json", "hotels"),
+            fetchJSON("/data/rate_calendar.json", "rate_calendar"),
+          ]);
 
         const safeLocs = Array.isArray(locs) ? locs : [];
         const safeActs = Array.isArray(acts) ? acts : [];
         const safeMap = Array.isArray(map) ? map : [];
+        const safeFerries = Array.isArray(ferries) ? ferries : [];
+
+        // Add-ons saved under an activity's old id
+        const actIndex = buildIndex(safeActs);
+        setAddonIds((prev) =>
+          prev.map((id) => actIndex.resolve(id)?.id ?? id)
+        );
 
         setRawLocations(safeLocs);
         setActivities(safeActs);
         setLocAdventures(safeMap);
+        setFerryRoutes(safeFerries);
+        setIslandOutlines(
+          outlines && typeof outlines === "object" ? outlines : null
+        );
+        setHotels(normalizeHotels(hotelData));
+        setHolidays(normalizeRateCalendar(calendar));
         setDataStatus("ready");
       } catch (e) {
         console.error("Data load fatal error:", e);
@@ -409,6 +1037,9 @@ export default function App() {
         return {
           ...withDur,
           island: normalizeIslandName(withDur.island),
+          bestTimes: Array.isArray(l.bestTimes)
+            ? l.bestTimes
+            : parseBestTimes(l.bestTime),
           moods:
             Array.isArray(withDur.moods) && withDur.moods.length
               ? withDur.moods
@@ -418,6 +1049,28 @@ export default function App() {
     [rawLocations]
   );
 
+  // Location ↔ adventure links, resolved through old ids and aliases
+  const dataLinks = useMemo(
+    () =>
+      linkData({
+        locations: rawLocations,
+        activities,
+        locationAdventures: locAdventures,
+      }),
+    [rawLocations, activities, locAdventures]
+  );
+
+  const activityById = useMemo(
+    () => Object.fromEntries(activities.map((a) => [a.id, a])),
+    [activities]
+  );
+
+  // Links that still don't resolve, listed under the adventures
+  const linkProblems = useMemo(
+    () => formatLinkReport(dataLinks.report),
+    [dataLinks]
+  );
+
   const islandsList = useMemo(() => {
     const s = new Set(locations.map((l) => l.island).filter(Boolean));
     return s.size ? Array.from(s) : DEFAULT_ISLANDS;
@@ -431,15 +1084,44 @@ export default function App() {
     [locations]
   );
 
+  // The trip's calendar dates (none until a start date is set)
+  const tripDates = useMemo(
+    () =>
+      startDate
+        ? Array.from({ length: Math.max(days.length, 1) }, (_, i) =>
+            addDays(startDate, i)
+          )
+        : [],
+    [startDate, days.length]
+  );
+
+  // Why a place or adventure doesn't suit the trip dates, or null
+  const offSeasonReason = (season, verb) =>
+    inSeasonDuring(season, tripDates)
+      ? null
+      : `${verb} ${seasonLabel(season)} — your trip is in ${tripMonthsLabel(
+          tripDates
+        )}`;
+
   const filteredLocations = useMemo(
     () =>
       selectableLocations.filter(
         (l) =>
           (islandFilter === "All" || l.island === islandFilter) &&
           (moodFilter === "All" ||
-            (Array.isArray(l.moods) && l.moods.includes(moodFilter)))
+            (Array.isArray(l.moods) && l.moods.includes(moodFilter))) &&
+          (!hideOffSeason ||
+            selectedIds.includes(l.id) ||
+            inSeasonDuring(l.bestTime, tripDates))
       ),
-    [selectableLocations, islandFilter, moodFilter]
+    [
+      selectableLocations,
+      islandFilter,
+      moodFilter,
+      hideOffSeason,
+      selectedIds,
+      tripDates,
+    ]
   );
 
   const selectedLocs = useMemo(
@@ -447,16 +1129,438 @@ export default function App() {
     [locations, selectedIds]
   );
 
-  // Itinerary auto-generate whenever locations / startPB change
+  // Ferry timetable + route graph (ferries and the ATR road)
+  const ferryTimetable = useMemo(
+    () => buildTimetable(ferryRoutes),
+    [ferryRoutes]
+  );
+
+  const routeGraph = useMemo(
+    () => buildRouteGraph(ferryTimetable),
+    [ferryTimetable]
+  );
+
+  // Jetties double as the hotel base for within-island driving
+  const islandPorts = useMemo(() => islandOutlines?.ports || {}, [
+    islandOutlines,
+  ]);
+
+  // What slotting places and adventures into existing days needs
+  const placementOpts = () => ({
+    routeGraph,
+    startDate,
+    ports: islandPorts,
+    locById: Object.fromEntries(selectedLocs.map((l) => [l.id, l])),
+    activityById,
+    times: flightTimes(flights),
+  });
+
+  const generateDays = () =>
+    syncActivities(
+      generateItineraryDays(selectedLocs, startPB, {
+        routeGraph,
+        endIsland,
+        startDate,
+        ports: islandPorts,
+        flights,
+      }),
+      addonIds,
+      placementOpts()
+    );
+
+  // Keep the itinerary in step with the selection. The first places build
+  // it from scratch; after that, added places are slotted into existing
+  // days and removed ones drop out, so manual edits survive. Start/end
+  // island, date and flight time changes rebuild it only while it hasn't
+  // been edited. Chosen adventures follow the same way.
   useEffect(() => {
-    setDays(generateItineraryDays(selectedLocs, startPB));
-  }, [selectedLocs, startPB]);
+    if (dataStatus !== "ready") return;
+    const basis = planBasis.current;
+    const key = settingsKey({ startPB, endIsland, startDate, flights });
+    // Building a plan nobody has touched yet, or catching a restored trip up
+    // with the data, isn't something to undo
+    const firstRun = !dataSeen.current;
+    dataSeen.current = true;
+    const hasStops = days.some((d) =>
+      d.items.some((it) => it.type === "location")
+    );
+
+    if (
+      !basis ||
+      !hasStops ||
+      !selectedLocs.length ||
+      (!daysEdited && basis.key !== key)
+    ) {
+      if (!basis || firstRun) historySilent.current = true;
+      setDays(generateDays());
+      planBasis.current = { ids: selectedIds, key };
+      return;
+    }
+
+    const added = selectedLocs.filter((l) => !basis.ids.includes(l.id));
+    const removedIds = basis.ids.filter((id) => !selectedIds.includes(id));
+    planBasis.current = { ...basis, ids: selectedIds };
+    const opts = placementOpts();
+    if (!added.length && !removedIds.length) {
+      const synced = syncActivities(days, addonIds, opts);
+      if (synced === days) return;
+      if (firstRun) historySilent.current = true;
+      setDays(synced);
+      return;
+    }
+    if (firstRun) historySilent.current = true;
+    setDays((prev) =>
+      syncActivities(
+        mergeSelection(prev, { added, removedIds }, opts),
+        addonIds,
+        opts
+      )
+    );
+    // days / daysEdited are read, not watched: edits alone never regenerate
+  }, [
+    selectedLocs,
+    startPB,
+    routeGraph,
+    endIsland,
+    startDate,
+    flights.arrivalTime,
+    flights.departureTime,
+    islandPorts,
+    addonIds,
+    activityById,
+    dataStatus,
+  ]);
+
+  /* ---------- Saved trips ---------- */
+
+  const tripDoc = useMemo(
+    () =>
+      serializeTrip({
+        step,
+        startDate,
+        travellers,
+        startPB,
+        endIsland,
+        flights,
+        selectedIds,
+        days,
+        scooterIslands,
+        bicycleIslands,
+        chosenHotels,
+        roomPlans,
+        staySplits,
+        essentials,
+        addonIds,
+        daysEdited,
+      }),
+    [
+      step,
+      startDate,
+      travellers,
+      startPB,
+      endIsland,
+      flights,
+      selectedIds,
+      days,
+      scooterIslands,
+      bicycleIslands,
+      chosenHotels,
+      roomPlans,
+      staySplits,
+      essentials,
+      addonIds,
+      daysEdited,
+    ]
+  );
+
+  // Autosave shortly after the last change
+  useEffect(() => {
+    const t = setTimeout(
+      () => setTripStore((s) => upsertTrip(s, s.activeId, tripDoc)),
+      400
+    );
+    return () => clearTimeout(t);
+  }, [tripDoc]);
+
+  useEffect(() => {
+    if (tripStore.trips.length) setTripSaveOk(saveTripStore(tripStore));
+  }, [tripStore]);
+
+  const applyTrip = (state) => {
+    const t = withTripDefaults(state);
+    planBasis.current = t.days.length
+      ? { ids: t.selectedIds, key: settingsKey(t) }
+      : null;
+    setDaysEdited(t.daysEdited);
+    setStep(t.step);
+    setStartDate(t.startDate);
+    setTravellers(t.travellers);
+    setStartPB(t.startPB);
+    setEndIsland(t.endIsland);
+    setFlights(t.flights);
+    setSelectedIds(t.selectedIds);
+    setDays(t.days);
+    setScooterIslands(t.scooterIslands);
+    setBicycleIslands(t.bicycleIslands);
+    setChosenHotels(t.chosenHotels);
+    setRoomPlans(t.roomPlans);
+    setStaySplits(t.staySplits);
+    setEssentials(t.essentials);
+    setAddonIds(
+      t.addonIds.map((id) => dataLinks.resolveActivity(id)?.id ?? id)
+    );
+  };
+
+  const switchTrip = (id) => {
+    const target = tripStore.trips.find((t) => t.id === id);
+    if (!target || id === tripStore.activeId) return;
+    setTripStore((s) => ({
+      ...upsertTrip(s, s.activeId, tripDoc),
+      activeId: id,
+    }));
+    resetHistoryNext.current = true;
+    applyTrip(deserializeTrip(target.doc) || {});
+  };
+
+  const startNewTrip = () => {
+    const id = newTripId();
+    const name = `Trip ${tripStore.trips.length + 1}`;
+    const blank = serializeTrip(blankTrip());
+    setTripStore((s) => ({
+      ...upsertTrip(upsertTrip(s, s.activeId, tripDoc), id, blank, name),
+      activeId: id,
+    }));
+    resetHistoryNext.current = true;
+    applyTrip({});
+  };
+
+  // Drop the #trip=… hash once it has been opened, so a reload doesn't
+  // import the same link again
+  useEffect(() => {
+    if (sharedTrip) {
+      window.history.replaceState(
+        null,
+        "",
+        window.location.pathname + window.location.search
+      );
+    }
+  }, [sharedTrip]);
+
+  const copyShareLink = async () => {
+    const url = shareUrl(tripDoc, window.location);
+    try {
+      await navigator.clipboard.writeText(url);
+      setShareStatus("Link copied");
+    } catch {
+      window.prompt("Copy this link to share the trip:", url);
+      setShareStatus("");
+    }
+  };
+
+  useEffect(() => {
+    if (!shareStatus) return;
+    const t = setTimeout(() => setShareStatus(""), 2500);
+    return () => clearTimeout(t);
+  }, [shareStatus]);
+
+  const renameActiveTrip = (name) =>
+    setTripStore((s) => renameTrip(s, s.activeId, name));
+
+  const deleteActiveTrip = () => {
+    if (!window.confirm("Delete this saved trip?")) return;
+    const next = removeTrip(tripStore, tripStore.activeId);
+    const target = activeTrip(next);
+    setTripStore(target ? next : { ...next, activeId: newTripId() });
+    if (!next.trips.length) saveTripStore(next);
+    resetHistoryNext.current = true;
+    applyTrip((target && deserializeTrip(target.doc)) || {});
+  };
+
+  // How the chosen island order compares with the plain DEFAULT_ISLANDS sort
+  const islandOrderPlan = useMemo(() => {
+    const islands = Array.from(new Set(selectedLocs.map((l) => l.island)));
+    if (islands.length < 2) return null;
+    return planIslandOrder(islands, startPB, { routeGraph, endIsland });
+  }, [selectedLocs, startPB, routeGraph, endIsland]);
+
+  const locById = useMemo(
+    () => Object.fromEntries(locations.map((l) => [l.id, l])),
+    [locations]
+  );
+
+  /* ---------- Undo / redo ---------- */
+
+  const planDoc = useMemo(() => {
+    const { step: _step, ...plan } = tripDoc;
+    return plan;
+  }, [tripDoc]);
+
+  useEffect(() => {
+    if (dataStatus !== "ready") return;
+    if (resetHistoryNext.current) {
+      resetHistoryNext.current = false;
+      setHistory(createHistory(planDoc));
+    } else if (historySilent.current) {
+      historySilent.current = false;
+      setHistory((h) => rebaseHistory(h, planDoc));
+    } else {
+      const describe = (prev, next, keys) =>
+        describePlanChange(prev, next, keys, { locById, activities });
+      setHistory((h) => recordChange(h, planDoc, { describe }));
+    }
+    // names are only read for labels
+  }, [planDoc, dataStatus]);
+
+  // Restoring a step keeps the traveller on the page they're looking at;
+  // the restored doc then matches the history, so nothing new is recorded
+  const goToHistory = (next) => {
+    if (!history || next === history) return;
+    setHistory(next);
+    applyTrip({ ...deserializeTrip(next.present.snapshot), step });
+  };
+  const undoPlan = () => history && goToHistory(undo(history));
+  const redoPlan = () => history && goToHistory(redo(history));
+  // The key listener is added once and reads the latest of these
+  const planKeys = useRef(null);
+  planKeys.current = { undo: undoPlan, redo: redoPlan };
+
+  // Ctrl/⌘+Z, Ctrl/⌘+Shift+Z (or Ctrl+Y); fields keep their own undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const el = e.target;
+      if (
+        el?.isContentEditable ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(el?.tagName)
+      ) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) {
+        e.preventDefault();
+        planKeys.current.undo();
+      } else if ((key === "z" && e.shiftKey) || (key === "y" && !e.metaKey)) {
+        e.preventDefault();
+        planKeys.current.redo();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // The actual sailing / departure for each ferry and road leg, then an
+  // hour-by-hour timeline for every day
+  const plannedDays = useMemo(
+    () =>
+      assignFerrySailings(days, ferryTimetable, startDate).map((d) =>
+        scheduleDay(d, { locById, ...flightTimes(flights) })
+      ),
+    [days, ferryTimetable, startDate, locById, flights]
+  );
+
+  // The drive for each sightseeing day, in timeline order
+  const dayRoutes = useMemo(
+    () =>
+      plannedDays.map((day) => {
+        const stops = timelineStops(day);
+        const base = islandPorts[day.island];
+        const opts = {
+          base,
+          baseName: base?.name || "Hotel",
+          island: day.island,
+          coordsOf: (it) => locById[it.ref]?.coordinates,
+        };
+        const route = dayRoute(stops, opts);
+        if (stops.length < 2) return { ...route, bestKm: route.km };
+        // What "Shorter order" would give, once the timeline is redone; no
+        // saving when the sights wouldn't all fit the day in that order
+        const reordered = scheduleDay(
+          shortestStopOrder(
+            day,
+            timelineOf(day).map(({ k }) => k),
+            opts
+          ),
+          { locById, ...flightTimes(flights) }
+        );
+        const best = reordered.items.some((it) => it.unscheduled)
+          ? route
+          : dayRoute(timelineStops(reordered), opts);
+        return { ...route, bestKm: best.km };
+      }),
+    [plannedDays, islandPorts, locById, flights]
+  );
+
+  // Problems with the itinerary as it stands; errors block booking
+  const itineraryIssues = useMemo(
+    () =>
+      validateItinerary(plannedDays, {
+        locById,
+        activityById,
+        maxHours: MAX_HOURS_PER_DAY,
+        dateOf: (i) => (startDate ? addDays(startDate, i) : null),
+        departureFlight: flights.departureNumber,
+        travellers,
+      }),
+    [
+      plannedDays,
+      locById,
+      activityById,
+      startDate,
+      flights.departureNumber,
+      travellers,
+    ]
+  );
+  const dayIssues = useMemo(
+    () => issuesByDay(itineraryIssues, plannedDays.length),
+    [itineraryIssues, plannedDays.length]
+  );
+  const bookingBlocked = hasBlockingIssues(itineraryIssues)
+    ? "Fix the itinerary problems marked in red before booking"
+    : null;
+
+  // Map: which day each location sits on, and the legs between islands
+  const dayByLocation = useMemo(() => {
+    const map = {};
+    days.forEach((d, i) =>
+      d.items.forEach((it) => {
+        if (it.type === "location" && it.ref) map[it.ref] = i;
+      })
+    );
+    return map;
+  }, [days]);
+
+  const tripLegs = useMemo(
+    () =>
+      days.flatMap((d) =>
+        d.items
+          .filter(isTransitItem)
+          .map((it) => ({ from: it.from, to: it.to, mode: it.mode }))
+      ),
+    [days]
+  );
+
+  // Throw away manual changes and rebuild with the current settings
+  const regenerateDays = () => {
+    if (
+      daysEdited &&
+      !window.confirm("Discard your changes to the days and rebuild them?")
+    ) {
+      return;
+    }
+    setDays(generateDays());
+    setDaysEdited(false);
+    planBasis.current = {
+      ids: selectedIds,
+      key: settingsKey({ startPB, endIsland, startDate, flights }),
+    };
+  };
 
   // Day tools
   const addEmptyDayAfter = (index) => {
+    setDaysEdited(true);
     setDays((prev) => {
       const copy = [...prev];
-      const baseIsland = copy[index]?.island || "Port Blair (South Andaman)";
+      const baseIsland = copy[index]?.island || PORT_BLAIR;
       copy.splice(index + 1, 0, {
         island: baseIsland,
         items: [],
@@ -467,6 +1571,7 @@ export default function App() {
   };
 
   const deleteDay = (index) => {
+    setDaysEdited(true);
     setDays((prev) => {
       if (prev.length <= 1) return prev;
       const copy = [...prev];
@@ -475,18 +1580,41 @@ export default function App() {
     });
   };
 
-  const moveItem = (fromDay, itemIdx, dir = 1) => {
+  // Drag-and-drop: `to.pos` counts positions in the day's timeline
+  const moveItemToSpot = (from, to) => {
+    setDaysEdited(true);
+    setDays((prev) =>
+      moveItemTo(prev, from, to, (i) =>
+        timelineOf(plannedDays[i]).map(({ k }) => k)
+      )
+    );
+  };
+
+  const moveDayTo = (from, to) => {
+    setDaysEdited(true);
+    setDays((prev) => moveDay(prev, from, to));
+  };
+
+  // Put a day's sights in the order with the least driving, starting from
+  // the timeline the map draws (the reorder `dayRoutes` measured)
+  const reorderDayStops = (i) => {
+    if (!plannedDays[i]) return;
+    const order = timelineOf(plannedDays[i]).map(({ k }) => k);
+    setDaysEdited(true);
     setDays((prev) => {
-      const toDay = fromDay + dir;
-      if (toDay < 0 || toDay >= prev.length) return prev;
       const copy = [...prev];
-      const [item] = copy[fromDay].items.splice(itemIdx, 1);
-      copy[toDay].items.push(item);
+      const day = copy[i];
+      copy[i] = shortestStopOrder(day, order, {
+        base: islandPorts[day.island],
+        island: day.island,
+        coordsOf: (it) => locById[it.ref]?.coordinates,
+      });
       return copy;
     });
   };
 
   const setTransportForDay = (i, mode) => {
+    setDaysEdited(true);
     setDays((prev) => {
       const copy = [...prev];
       copy[i] = { ...copy[i], transport: mode };
@@ -494,115 +1622,267 @@ export default function App() {
     });
   };
 
-  // Hotels logic
+  // Hotels logic: where each night is spent, the stays (runs of nights in
+  // one hotel), the nights on each island and the sights planned there
+  const nights = useMemo(
+    () =>
+      tripNights(days, {
+        dateOf: (i) => (startDate ? addDays(startDate, i) : null),
+      }),
+    [days, startDate]
+  );
+
+  const stays = useMemo(
+    () =>
+      staySegments(days, {
+        dateOf: (i) => (startDate ? addDays(startDate, i) : null),
+        splits: staySplits,
+      }),
+    [days, startDate, staySplits]
+  );
+
   const nightsByIsland = useMemo(() => {
+    const map = {};
+    nights.forEach((n) => {
+      map[n.island] = (map[n.island] || 0) + 1;
+    });
+    return map;
+  }, [nights]);
+
+  const sightsByIsland = useMemo(() => {
     const map = {};
     days.forEach((day) => {
-      const hasFerry = day.items.some((i) => i.type === "ferry");
-      const hasDeparture = day.items.some((i) => i.type === "departure");
-      if (hasFerry || hasDeparture) return;
-      map[day.island] = (map[day.island] || 0) + 1;
+      day.items.forEach((it) => {
+        const loc = it.type === "location" && locById[it.ref];
+        if (loc) (map[day.island] = map[day.island] || []).push(loc);
+      });
     });
     return map;
-  }, [days]);
+  }, [days, locById]);
 
-  const MOCK_HOTELS = useMemo(
-    () => ({
-      "Port Blair (South Andaman)": [
-        { id: "pb_h1", name: "PB Value Hotel", tier: "Value", sell_price: 3299 },
-        { id: "pb_h2", name: "PB Mid Hotel", tier: "Mid", sell_price: 5499 },
-        { id: "pb_h3", name: "PB Premium Hotel", tier: "Premium", sell_price: 8899 },
-      ],
-      "Havelock (Swaraj Dweep)": [
-        { id: "hl_h1", name: "HL Value Hotel", tier: "Value", sell_price: 4499 },
-        { id: "hl_h2", name: "HL Mid Hotel", tier: "Mid", sell_price: 6999 },
-        { id: "hl_h3", name: "HL Premium Hotel", tier: "Premium", sell_price: 10999 },
-      ],
-      "Neil (Shaheed Dweep)": [
-        { id: "nl_h1", name: "NL Value Hotel", tier: "Value", sell_price: 3399 },
-        { id: "nl_h2", name: "NL Mid Hotel", tier: "Mid", sell_price: 5699 },
-      ],
-      "Long Island (Middle Andaman)": [
-        { id: "li_h1", name: "LI Mid Hotel", tier: "Mid", sell_price: 6199 },
-      ],
-      "Rangat (Middle Andaman)": [
-        { id: "rg_h1", name: "Rangat Lodge", tier: "Value", sell_price: 2599 },
-      ],
-      "Mayabunder (Middle Andaman)": [
-        { id: "mb_h1", name: "Mayabunder Stay", tier: "Value", sell_price: 2399 },
-      ],
-      "Diglipur (North Andaman)": [
-        { id: "dg_h1", name: "DG Lodge", tier: "Value", sell_price: 2899 },
-      ],
-      "Little Andaman": [
-        { id: "la_h1", name: "Hut Stay", tier: "Value", sell_price: 2199 },
-      ],
-    }),
-    []
-  );
+  const hotelsOnIsland = useMemo(() => hotelsByIsland(hotels), [hotels]);
 
-  const chooseHotel = (island, hotelId) => {
-    setChosenHotels((prev) => ({ ...prev, [island]: hotelId }));
+  const chooseHotel = (stayKey, hotelId) => {
+    setChosenHotels((prev) => ({ ...prev, [stayKey]: hotelId }));
   };
 
-  // Adventure suggestions
-  const suggestedActivities = useMemo(() => {
-    const selectedSet = new Set(selectedIds);
-
-    // mapped by locationId
-    const mappedIds = new Set();
-    locAdventures.forEach((m) => {
-      const locId = m.locationId || m.location_id;
-      const advList = m.adventureIds || m.adventure_ids || [];
-      if (locId && selectedSet.has(locId)) {
-        advList.forEach((id) => mappedIds.add(id));
-      }
+  // Rooms at a hotel for the party: the user's own pick when they made one
+  // for this hotel and stay, else the cheapest mix that sleeps everyone
+  const roomsAt = (stay, hotel) => {
+    const plan = roomPlans[stay.key];
+    return allocateRooms(hotel, travellers, {
+      date: stay.dates[0] ?? null,
+      counts: plan?.hotelId === hotel.id ? plan.rooms : undefined,
+      holidays,
     });
+  };
 
-    const mapped = activities.filter((a) => mappedIds.has(a.id));
-    if (mapped.length) return mapped;
+  const setRoomCount = (stayKey, alloc, hotel, roomTypeId, count) => {
+    setRoomPlans((prev) => ({
+      ...prev,
+      [stayKey]: {
+        hotelId: hotel.id,
+        rooms: { ...allocationCounts(alloc), [roomTypeId]: count },
+      },
+    }));
+  };
+
+  const resetRooms = (stayKey) => {
+    setRoomPlans((prev) => {
+      const next = { ...prev };
+      delete next[stayKey];
+      return next;
+    });
+  };
+
+  // Adventure suggestions: those linked to the selected places, else the
+  // ones operated on the selected islands
+  const suggestedActivities = useMemo(() => {
+    const linked = new Set(
+      selectedIds.flatMap((id) => dataLinks.adventuresFor(id))
+    );
+    if (linked.size) return Array.from(linked);
 
     const selectedIslands = new Set(selectedLocs.map((l) => l.island));
-    const islandMatch = activities.filter((a) =>
-      (a.islands || []).some((i) => selectedIslands.has(i))
+    return activities.filter((a) =>
+      islandsForCodes(a.operatedIn).some((i) => selectedIslands.has(i))
     );
-    return islandMatch.length ? islandMatch : activities;
-  }, [activities, selectedIds, selectedLocs, locAdventures]);
+  }, [activities, selectedIds, selectedLocs, dataLinks]);
 
-  // Costs
-  const hotelsTotal = useMemo(() => {
-    let sum = 0;
-    Object.entries(nightsByIsland).forEach(([island, nights]) => {
-      const hid = chosenHotels[island];
-      if (!hid) return;
-      const hotel = (MOCK_HOTELS[island] || []).find((h) => h.id === hid);
-      if (hotel) sum += safeNum(hotel.sell_price) * nights;
+  // Islands the traveller actually spends time on
+  const itineraryIslands = useMemo(
+    () =>
+      new Set(
+        days.flatMap((d) => [
+          d.island,
+          ...d.items.filter(isTransitItem).map((it) => it.to),
+        ])
+      ),
+    [days]
+  );
+
+  // Which day each chosen add-on is scheduled on
+  const dayByActivity = useMemo(() => {
+    const map = {};
+    days.forEach((d, i) =>
+      d.items.forEach((it) => {
+        if (it.type === "activity") map[it.ref] = i;
+      })
+    );
+    return map;
+  }, [days]);
+
+  // Why a chosen add-on couldn't be given a day
+  const addonWarnings = useMemo(() => {
+    const out = {};
+    addonIds.forEach((id) => {
+      const ad = activityById[id];
+      if (!ad || dayByActivity[id] != null) return;
+      const islands = islandsForCodes(ad.operatedIn);
+      const onIslands = days
+        .map((day, i) => ({ day, i }))
+        .filter(({ day }) => !islands.length || islands.includes(day.island));
+      if (islands.length && !islands.some((i) => itineraryIslands.has(i))) {
+        out[id] = `${ad.name} runs on ${islands
+          .map(shortIslandName)
+          .join(" / ")}, which isn't on your itinerary`;
+      } else if (
+        startDate &&
+        !onIslands.some(({ i }) => inSeason(ad.season, addDays(startDate, i)))
+      ) {
+        out[id] = `${ad.name} only runs ${seasonLabel(
+          ad.season
+        )}, outside your trip dates`;
+      } else {
+        out[id] = `No day has room for ${ad.name} (${durationLabel(
+          activityItem(ad).durationMin
+        )}) — add a day or drop a place`;
+      }
     });
-    return sum;
-  }, [nightsByIsland, chosenHotels, MOCK_HOTELS]);
+    return out;
+  }, [
+    addonIds,
+    activityById,
+    dayByActivity,
+    days,
+    itineraryIslands,
+    startDate,
+  ]);
 
-  const addonsTotal = useMemo(
+  // Costs
+  // The chosen hotel for each stay, its rooms and what the stay costs
+  const hotelStays = useMemo(
     () =>
-      addonIds.reduce((acc, id) => {
-        const ad = activities.find((a) => a.id === id);
-        return acc + safeNum(ad?.basePriceINR ?? ad?.price);
-      }, 0),
-    [addonIds, activities]
+      stays.flatMap((stay) => {
+        const hotel = (hotelsOnIsland[stay.island] || []).find(
+          (h) => h.id === chosenHotels[stay.key]
+        );
+        if (!hotel) return [];
+        const alloc = roomsAt(stay, hotel);
+        const { total, byNight } = stayCost(alloc, stay.dates, holidays);
+        return [{ stay, hotel, alloc, total, byNight }];
+      }),
+    [stays, chosenHotels, hotelsOnIsland, roomPlans, travellers, holidays]
   );
 
-  const ferryLegCount = useMemo(
+  const hotelsTotal = hotelStays.reduce((sum, s) => sum + s.total, 0);
+
+  // Step 4's night-by-night table: each night's hotel and rate
+  const nightRows = useMemo(
     () =>
-      days.reduce(
-        (acc, d) => acc + d.items.filter((i) => i.type === "ferry").length,
-        0
+      nights.map((n) => {
+        const booked = hotelStays.find((s) => s.stay.nights.includes(n.day));
+        const k = booked ? booked.stay.nights.indexOf(n.day) : -1;
+        return {
+          ...n,
+          hotel: booked?.hotel || null,
+          amount: booked ? booked.byNight[k].amount : null,
+        };
+      }),
+    [nights, hotelStays]
+  );
+
+  // Step 4: each stay's hotels with the party's nightly price and the
+  // distance to the island's sights, filtered and sorted
+  const hotelRows = useMemo(
+    () =>
+      Object.fromEntries(
+        stays.map((stay) => {
+          const rows = (hotelsOnIsland[stay.island] || []).map((hotel) => {
+            const alloc = roomsAt(stay, hotel);
+            return {
+              hotel,
+              alloc,
+              perNight: stayCost(alloc, stay.dates, holidays).perNight,
+              km: distanceToSights(hotel, sightsByIsland[stay.island] || []),
+            };
+          });
+          return [stay.key, filterAndSortHotels(rows, hotelFilters)];
+        })
       ),
-    [days]
+    [
+      stays,
+      hotelsOnIsland,
+      sightsByIsland,
+      roomPlans,
+      travellers,
+      hotelFilters,
+      holidays,
+    ]
   );
 
-  const ferryTotal = useMemo(() => {
-    const mult = FERRY_CLASS_MULT[essentials.ferryClass] ?? 1;
-    return ferryLegCount * FERRY_BASE_ECON * mult * Math.max(1, adults);
-  }, [ferryLegCount, essentials.ferryClass, adults]);
+  // An adventure's date: the day it's scheduled on, once dates are known
+  const activityDate = (id) => tripDates[dayByActivity[id]] ?? null;
+
+  const addonPrices = useMemo(
+    () =>
+      addonIds
+        .filter((id) => activityById[id])
+        .map((id) => ({
+          activity: activityById[id],
+          date: activityDate(id),
+          price: priceActivity(
+            activityById[id],
+            travellers,
+            activityDate(id),
+            holidays
+          ),
+        })),
+    [addonIds, activityById, travellers, tripDates, dayByActivity, holidays]
+  );
+
+  const addonsTotal = addonPrices.reduce(
+    (acc, { price }) => acc + price.total,
+    0
+  );
+
+  // Every ferry / road leg is priced by its own route fare, on its date
+  // (road seats by the road rates, not the ferry ones)
+  const ferryLegs = useMemo(
+    () =>
+      days.flatMap((d, i) =>
+        d.items.filter(isTransitItem).map((leg) => {
+          const date = tripDates[i] ?? null;
+          const kind = leg.type === "road" ? "road" : "ferry";
+          const perAdult = priceOn(
+            kind,
+            legFarePerAdult(
+              leg,
+              essentials.ferryClass,
+              FERRY_CLASS_MULT,
+              FERRY_BASE_ECON
+            ),
+            date,
+            holidays
+          );
+          const amount = Math.round(perAdult * ferryFareUnits(travellers));
+          return { day: i, leg, kind, date, perAdult, amount };
+        })
+      ),
+    [days, tripDates, essentials.ferryClass, travellers, holidays]
+  );
+
+  const ferryTotal = ferryLegs.reduce((sum, l) => sum + l.amount, 0);
 
   const cabDayRate = useMemo(() => {
     const found = CAB_MODELS.find((c) => c.id === essentials.cabModelId);
@@ -611,34 +1891,41 @@ export default function App() {
 
   const logisticsTotal = useMemo(() => {
     let sum = 0;
-    days.forEach((day) => {
-      const hasFerry = day.items.some((i) => i.type === "ferry");
+    days.forEach((day, i) => {
+      const hasFerry = day.items.some(isTransitItem);
       const hasDeparture = day.items.some((i) => i.type === "departure");
       if (hasFerry || hasDeparture) return;
 
-      const stops = day.items.filter((i) => i.type === "location").length;
+      const route = dayRoutes[i] || { legs: [], km: 0 };
+      let amount;
 
       // Island-level overrides for rentals
-      if (bicycleIslands.has(day.island)) {
-        sum += BICYCLE_DAY_RATE;
-        return;
-      }
-      if (scooterIslands.has(day.island)) {
-        sum += SCOOTER_DAY_RATE;
-        return;
-      }
-
+      if (bicycleIslands.has(day.island)) amount = BICYCLE_DAY_RATE;
+      else if (scooterIslands.has(day.island)) amount = SCOOTER_DAY_RATE;
       // Day-level mode
-      if (day.transport === "Day Cab") sum += cabDayRate;
-      else if (day.transport === "Scooter") sum += SCOOTER_DAY_RATE;
-      else if (day.transport === "Bicycle") sum += BICYCLE_DAY_RATE;
-      else sum += Math.max(1, stops - 1) * P2P_RATE_PER_HOP;
+      else if (day.transport === "Day Cab") {
+        amount =
+          cabDayRate +
+          Math.max(0, route.km - CAB_INCLUDED_KM) * CAB_EXTRA_PER_KM;
+      } else if (day.transport === "Scooter") amount = SCOOTER_DAY_RATE;
+      else if (day.transport === "Bicycle") amount = BICYCLE_DAY_RATE;
+      else amount = priceRoute(route, P2P_TARIFF).amount;
+
+      sum += priceOn("ground", amount, tripDates[i] ?? null, holidays);
     });
-    return sum;
-  }, [days, scooterIslands, bicycleIslands, cabDayRate]);
+    return Math.round(sum);
+  }, [
+    days,
+    dayRoutes,
+    scooterIslands,
+    bicycleIslands,
+    cabDayRate,
+    tripDates,
+    holidays,
+  ]);
 
   const grandTotal = hotelsTotal + addonsTotal + logisticsTotal + ferryTotal;
-  const pax = adults + infants;
+  const pax = travellers.length;
 
   const toggleScooter = (island) => {
     setScooterIslands((prev) => {
@@ -694,28 +1981,22 @@ export default function App() {
         island: l.island,
       }));
 
-    // 2) Adventures from location_adventures.json
-    const advIds = new Set();
-    locAdventures.forEach((m) => {
-      const locId = m.locationId || m.location_id; // support both keys
-      const advList = m.adventureIds || m.adventure_ids || [];
-      if (locId && locId === loc.id) {
-        advList.forEach((id) => advIds.add(id));
-      }
-    });
-
-    // Map adventure IDs -> full activity objects (with price)
-    const adventures = activities
-      .filter((a) => advIds.has(a.id))
-      .map((a) => ({
+    // 2) Adventures linked in location_adventures.json (with price)
+    // labelled with this island when it runs here, else where it does
+    const adventures = dataLinks.adventuresFor(loc.id).map((a) => {
+      const islands = islandsForCodes(a.operatedIn);
+      return {
         id: a.id,
         name: a.name,
-        island: (a.islands && a.islands[0]) || loc.island,
+        island: islands.includes(loc.island)
+          ? loc.island
+          : islands[0] || loc.island,
         type: a.category || a.type || "Adventure",
         category: a.category,
         basePriceINR: a.basePriceINR ?? a.price,
         price: a.basePriceINR ?? a.price,
-      }));
+      };
+    });
 
     // 3) Pass enriched object into modal
     setOpenLoc({
@@ -727,8 +2008,44 @@ export default function App() {
 
   const closeModal = () => setOpenLoc(null);
 
+  const setFlight = (key, value) =>
+    setFlights((prev) => ({ ...prev, [key]: value.trimStart() }));
+
+  const settingsStale =
+    daysEdited &&
+    !!planBasis.current &&
+    planBasis.current.key !==
+      settingsKey({ startPB, endIsland, startDate, flights });
+
+  // Ferry days in the monsoon, when sailings are often cancelled
+  const monsoonFerryDays = days.flatMap((d, i) =>
+    d.items.some((it) => it.type === "ferry") && isMonsoon(tripDates[i])
+      ? [i]
+      : []
+  );
+
   /* ---------- UI ---------- */
 
+  const offSeasonToggle = tripDates.length > 0 && (
+    <Row>
+      <label style={{ fontSize: 12, color: "#475569" }}>
+        <input
+          type="checkbox"
+          checked={hideOffSeason}
+          onChange={() => setHideOffSeason((v) => !v)}
+          style={{ marginRight: 6 }}
+        />
+        Hide places and adventures that are out of season in{" "}
+        {tripMonthsLabel(tripDates)}
+      </label>
+    </Row>
+  );
+
+  const showAdventure = (a) =>
+    !hideOffSeason ||
+    addonIds.includes(a.id) ||
+    inSeasonDuring(a.season, tripDates);
+
   return (
     <div
       style={{
@@ -770,6 +2087,25 @@ export default function App() {
             />
             <b>Create Your Andaman Tour</b>
           </div>
+          <SavedTrips
+            trips={tripStore.trips}
+            activeId={tripStore.activeId}
+            saveOk={tripSaveOk}
+            onSwitch={switchTrip}
+            onNew={startNewTrip}
+            onRename={renameActiveTrip}
+            onDelete={deleteActiveTrip}
+            onShare={copyShareLink}
+            shareStatus={shareStatus}
+          />
+          {history && (
+            <HistoryControls
+              {...historyEntries(history)}
+              onUndo={undoPlan}
+              onRedo={redoPlan}
+              onJump={(i) => goToHistory(jumpTo(history, i))}
+            />
+          )}
           <span
             style={{
               fontSize: 12,
@@ -819,27 +2155,18 @@ export default function App() {
                     onChange={(e) => setStartDate(e.target.value)}
                   />
                 </Field>
-                <Field label="Adults">
-                  <input
-                    type="number"
-                    min={1}
-                    value={adults}
-                    onChange={(e) =>
-                      setAdults(Number(e.target.value) || 0)
-                    }
-                  />
-                </Field>
-                <Field label="Infants">
-                  <input
-                    type="number"
-                    min={0}
-                    value={infants}
-                    onChange={(e) =>
-                      setInfants(Number(e.target.value) || 0)
-                    }
-                  />
-                </Field>
               </Row>
+              <div
+                style={{
+                  fontSize: 12,
+                  color: "#475569",
+                  marginBottom: 8,
+                }}
+              >
+                Travellers — ages set ferry fares and hotel beds, and show
+                which adventures each person can join.
+              </div>
+              <TravellerList travellers={travellers} onChange={setTravellers} />
               <Row>
                 <label>
                   <input
@@ -851,6 +2178,64 @@ export default function App() {
                   Start from Port Blair if present
                 </label>
               </Row>
+              <Row>
+                <Field label="Last island before flying out">
+                  <select
+                    value={endIsland}
+                    onChange={(e) => setEndIsland(e.target.value)}
+                  >
+                    <option value="">No preference (shortest route)</option>
+                    {islandsList.map((i) => (
+                      <option key={i} value={i}>
+                        {i}
+                      </option>
+                    ))}
+                  </select>
+                </Field>
+              </Row>
+              <div
+                style={{
+                  fontSize: 12,
+                  color: "#475569",
+                  margin: "12px 0 8px",
+                }}
+              >
+                Flights (optional). Landing by {ARRIVAL_DAY_LATEST} fits
+                nearby Port Blair sights into Day 1; the departure day is kept
+                free.
+              </div>
+              <Row>
+                <Field label="Arrival flight no.">
+                  <input
+                    value={flights.arrivalNumber}
+                    placeholder="e.g. 6E 6021"
+                    onChange={(e) => setFlight("arrivalNumber", e.target.value)}
+                  />
+                </Field>
+                <Field label="Lands at IXZ">
+                  <input
+                    type="time"
+                    value={flights.arrivalTime}
+                    onChange={(e) => setFlight("arrivalTime", e.target.value)}
+                  />
+                </Field>
+                <Field label="Departure flight no.">
+                  <input
+                    value={flights.departureNumber}
+                    placeholder="e.g. AI 2832"
+                    onChange={(e) =>
+                      setFlight("departureNumber", e.target.value)
+                    }
+                  />
+                </Field>
+                <Field label="Takes off from IXZ">
+                  <input
+                    type="time"
+                    value={flights.departureTime}
+                    onChange={(e) => setFlight("departureTime", e.target.value)}
+                  />
+                </Field>
+              </Row>
               <FooterNav onNext={() => setStep(1)} />
             </Card>
           )}
@@ -898,6 +2283,14 @@ export default function App() {
                   {selectedLocs.length} selected
                 </div>
               </Row>
+              {offSeasonToggle}
+
+              <TripMap
+                locations={filteredLocations}
+                dayByLocation={dayByLocation}
+                outlines={islandOutlines}
+                onSelectLocation={openModalFor}
+              />
 
               <div
                 style={{
@@ -909,6 +2302,7 @@ export default function App() {
               >
                 {filteredLocations.map((l) => {
                   const picked = selectedIds.includes(l.id);
+                  const offSeason = offSeasonReason(l.bestTime, "Best");
                   return (
                     <div
                       key={l.id}
@@ -918,6 +2312,7 @@ export default function App() {
                         borderRadius: 12,
                         padding: 12,
                         position: "relative",
+                        opacity: offSeason && !picked ? 0.55 : 1,
                       }}
                     >
                       <div
@@ -954,6 +2349,17 @@ export default function App() {
                         >
                           {l.island} • {l.durationHrs}h
                         </div>
+                        {offSeason && (
+                          <div
+                            style={{
+                              fontSize: 12,
+                              color: "#92400e",
+                              marginTop: 4,
+                            }}
+                          >
+                            ⚠︎ {offSeason}
+                          </div>
+                        )}
                         <div
                           style={{
                             display: "flex",
@@ -1023,11 +2429,19 @@ export default function App() {
                 First we show adventures suggested from your selected locations.
                 Below that, you’ll see all available adventures.
               </div>
+              {offSeasonToggle}
 
               {/* Suggested first */}
               <h4 style={{ fontSize: 13, margin: "4px 0 8px" }}>
                 Suggested for your trip
               </h4>
+              {!suggestedActivities.length && (
+                <div style={{ fontSize: 12, color: "#64748b" }}>
+                  {selectedIds.length
+                    ? "None of your places have adventures linked to them yet."
+                    : "Pick some places first to see adventures linked to them."}
+                </div>
+              )}
               <div
                 style={{
                   display: "grid",
@@ -1036,13 +2450,23 @@ export default function App() {
                   gap: 12,
                 }}
               >
-                {suggestedActivities.map((a) => {
+                {suggestedActivities.filter(showAdventure).map((a) => {
                   const on = addonIds.includes(a.id);
                   return (
                     <AdventureCard
                       key={a.id}
                       adventure={a}
+                      price={priceActivity(
+                        a,
+                        travellers,
+                        activityDate(a.id),
+                        holidays
+                      )}
+                      blockers={partyBlockers(a, travellers)}
                       active={on}
+                      scheduledDay={dayByActivity[a.id]}
+                      offSeason={offSeasonReason(a.season, "Runs")}
+                      warning={addonWarnings[a.id]}
                       onToggle={() =>
                         setAddonIds((prev) =>
                           on
@@ -1074,13 +2498,23 @@ export default function App() {
                   gap: 12,
                 }}
               >
-                {activities.map((a) => {
+                {activities.filter(showAdventure).map((a) => {
                   const on = addonIds.includes(a.id);
                   return (
                     <AdventureCard
                       key={`all-${a.id}`}
                       adventure={a}
+                      price={priceActivity(
+                        a,
+                        travellers,
+                        activityDate(a.id),
+                        holidays
+                      )}
+                      blockers={partyBlockers(a, travellers)}
                       active={on}
+                      scheduledDay={dayByActivity[a.id]}
+                      offSeason={offSeasonReason(a.season, "Runs")}
+                      warning={addonWarnings[a.id]}
                       onToggle={() =>
                         setAddonIds((prev) =>
                           on
@@ -1093,6 +2527,8 @@ export default function App() {
                 })}
               </div>
 
+              <DataLinkReport problems={linkProblems} />
+
               <FooterNav onPrev={() => setStep(1)} onNext={() => setStep(3)} />
             </Card>
           )}
@@ -1106,154 +2542,240 @@ export default function App() {
                 </p>
               )}
 
-              <div style={{ display: "grid", gap: 12 }}>
-                {days.map((day, i) => {
-                  const calendarDate = startDate
-                    ? addDays(startDate, i)
-                    : null;
-                  const dateLabel = calendarDate || "No date set";
+              {islandOrderPlan && (
+                <IslandOrderSummary plan={islandOrderPlan} />
+              )}
 
-                  return (
+              {days.length > 0 && (
+                <div
+                  style={{
+                    display: "flex",
+                    gap: 8,
+                    alignItems: "center",
+                    flexWrap: "wrap",
+                    fontSize: 12,
+                    color: "#475569",
+                    marginBottom: 10,
+                  }}
+                >
+                  <button onClick={regenerateDays} style={pillBtn}>
+                    ↻ Regenerate from scratch
+                  </button>
+                  {daysEdited && (
+                    <span>
+                      Your edits are kept: new places go into existing days.
+                      {settingsStale && (
+                        <>
+                          {" "}
+                          Trip settings changed since the days were built;
+                          regenerate to apply them.
+                        </>
+                      )}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {days.length > 0 && (
+                <TripMap
+                  locations={selectedLocs}
+                  dayByLocation={dayByLocation}
+                  legs={tripLegs}
+                  outlines={islandOutlines}
+                  onSelectLocation={openModalFor}
+                />
+              )}
+
+              {monsoonFerryDays.length > 0 && (
+                <div
+                  role="alert"
+                  style={{
+                    margin: "0 0 10px",
+                    padding: "8px 10px",
+                    borderRadius: 8,
+                    border: "1px solid #fde68a",
+                    background: "#fffbeb",
+                    color: "#92400e",
+                    fontSize: 12,
+                  }}
+                >
+                  🌧 Monsoon season: your ferries on Day
+                  {monsoonFerryDays.length > 1 ? "s" : ""}{" "}
+                  {monsoonFerryDays.map((i) => i + 1).join(", ")} sail between
+                  May and September, when rough seas often delay or cancel
+                  sailings. Keep a spare day before your flight home.
+                </div>
+              )}
+
+              <ItineraryEditor
+                days={plannedDays}
+                orderOf={(i) => timelineOf(plannedDays[i])}
+                isLocked={isLockedItem}
+                canDrop={(it, i) =>
+                  it.type === "activity"
+                    ? canDropItem(days[i], it, null) &&
+                      activityFitsDay(
+                        days[i],
+                        activityById[it.ref] || {},
+                        startDate ? addDays(startDate, i) : null
+                      )
+                    : canDropItem(days[i], it, locById[it.ref]?.island)
+                }
+                dayRange={(i) => dayMoveRange(days, i)}
+                onMoveItem={moveItemToSpot}
+                onMoveDay={moveDayTo}
+                renderDayHeader={(day, i) => (
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      alignItems: "center",
+                      gap: 8,
+                      flexWrap: "wrap",
+                    }}
+                  >
                     <div
-                      key={i}
                       style={{
-                        border: "1px solid #e5e7eb",
-                        background: "white",
-                        borderRadius: 12,
-                        padding: 12,
+                        display: "flex",
+                        alignItems: "center",
+                        gap: 8,
                       }}
                     >
-                      <div
+                      <b>
+                        Day {i + 1} — {day.island}
+                      </b>
+                      {day.items.some((it) => it.type === "ferry") && (
+                        <Chip tone="blue">Ferry</Chip>
+                      )}
+                      {day.items.some((it) => it.type === "road") && (
+                        <Chip tone="blue">Road</Chip>
+                      )}
+                      {Array.from(
+                        new Set(
+                          day.items
+                            .filter((it) => it.sailingIssue)
+                            .map((it) => it.sailingIssueKind)
+                        )
+                      ).map((kind) => (
+                        <Chip key={kind} tone="red">
+                          {SAILING_ISSUE_CHIPS[kind]}
+                        </Chip>
+                      ))}
+                      {day.items.some((it) => it.type === "arrival") && (
+                        <Chip tone="green">Arrival</Chip>
+                      )}
+                      {day.items.some((it) => it.type === "departure") && (
+                        <Chip tone="red">Departure</Chip>
+                      )}
+                      {dayIssues[i]?.some((x) => x.severity === "error") && (
+                        <Chip tone="red">Needs fixing</Chip>
+                      )}
+                    </div>
+                    <span style={{ fontSize: 12, color: "#334155" }}>
+                      {startDate ? addDays(startDate, i) : "No date set"}
+                    </span>
+                  </div>
+                )}
+                renderDayBody={(day, i) =>
+                  (dayIssues[i] || []).map((issue) => (
+                    <IssueNote key={issue.message} issue={issue} />
+                  ))
+                }
+                renderItem={(it, k, i) => (
+                  <>
+                    <TimeSlot item={it} />
+                    {it.type === "location"
+                      ? `${it.name} (${it.durationHrs}h)`
+                      : it.type === "activity"
+                      ? `${it.name} (${durationLabel(it.durationMin)})`
+                      : it.name}
+                    {it.type === "arrival" && flights.arrivalNumber
+                      ? ` · ${flights.arrivalNumber}`
+                      : null}
+                    {it.type === "departure" && flights.departureNumber
+                      ? ` · ${flights.departureNumber}`
+                      : null}
+                    {isTransitItem(it) && <FerryLegInfo item={it} />}
+                    {it.type === "ferry" && monsoonFerryDays.includes(i) && (
+                      <span
                         style={{
-                          display: "flex",
-                          justifyContent: "space-between",
-                          alignItems: "center",
-                          gap: 8,
-                          flexWrap: "wrap",
+                          display: "block",
+                          fontSize: 12,
+                          color: "#92400e",
                         }}
                       >
+                        🌧 Monsoon sailing: weather risk
+                      </span>
+                    )}
+                    {it.ref && locById[it.ref]?.showTimes?.length ? (
+                      <span
+                        style={{
+                          display: "block",
+                          fontSize: 12,
+                          color: "#475569",
+                        }}
+                      >
+                        {it.show
+                          ? `🎟 ${it.show}`
+                          : `Shows: ${formatShowTimes(locById[it.ref])}`}
+                      </span>
+                    ) : null}
+                  </>
+                )}
+                renderDayFooter={(day, i) => (
+                  <>
+                    {dayRoutes[i]?.legs.length > 0 && (
+                      <DayRouteInfo
+                        route={dayRoutes[i]}
+                        transport={day.transport}
+                        onReorder={() => reorderDayStops(i)}
+                      />
+                    )}
+
+                    {!day.items.some(isTransitItem) &&
+                      !day.items.some((it) => it.type === "departure") && (
                         <div
                           style={{
                             display: "flex",
-                            alignItems: "center",
                             gap: 8,
+                            marginTop: 8,
+                            alignItems: "center",
+                            flexWrap: "wrap",
                           }}
                         >
-                          <b>
-                            Day {i + 1} — {day.island}
-                          </b>
-                          {day.items.some((it) => it.type === "ferry") && (
-                            <Chip tone="blue">Ferry</Chip>
-                          )}
-                          {day.items.some((it) => it.type === "arrival") && (
-                            <Chip tone="green">Arrival</Chip>
-                          )}
-                          {day.items.some(
-                            (it) => it.type === "departure"
-                          ) && <Chip tone="red">Departure</Chip>}
-                        </div>
-                        <span style={{ fontSize: 12, color: "#334155" }}>
-                          {dateLabel}
-                        </span>
-                      </div>
-
-                      <ul
-                        style={{
-                          marginTop: 8,
-                          paddingLeft: 18,
-                          fontSize: 14,
-                        }}
-                      >
-                        {day.items.map((it, k) => (
-                          <li
-                            key={k}
-                            style={{
-                              display: "flex",
-                              justifyContent: "space-between",
-                              gap: 8,
-                              alignItems: "center",
-                            }}
+                          <label style={{ fontSize: 12, color: "#475569" }}>
+                            Transport:
+                          </label>
+                          <select
+                            value={day.transport}
+                            onChange={(e) =>
+                              setTransportForDay(i, e.target.value)
+                            }
                           >
-                            <span>
-                              {it.type === "location"
-                                ? `${it.name} (${it.durationHrs}h)`
-                                : it.name}
-                            </span>
-                            <span
-                              style={{
-                                display: "inline-flex",
-                                gap: 6,
-                              }}
-                            >
-                              <button
-                                onClick={() => moveItem(i, k, -1)}
-                                style={miniBtn}
-                                title="Move to previous day"
-                              >
-                                ◀︎
-                              </button>
-                              <button
-                                onClick={() => moveItem(i, k, +1)}
-                                style={miniBtn}
-                                title="Move to next day"
-                              >
-                                ▶︎
-                              </button>
-                            </span>
-                          </li>
-                        ))}
-                      </ul>
-
-                      {!day.items.some((it) => it.type === "ferry") &&
-                        !day.items.some((it) => it.type === "departure") && (
-                          <div
-                            style={{
-                              display: "flex",
-                              gap: 8,
-                              marginTop: 8,
-                              alignItems: "center",
-                              flexWrap: "wrap",
-                            }}
+                            <option>Point-to-Point</option>
+                            <option>Day Cab</option>
+                            <option>Scooter</option>
+                            <option>Bicycle</option>
+                            <option>—</option>
+                          </select>
+                          <button
+                            onClick={() => addEmptyDayAfter(i)}
+                            style={pillBtn}
                           >
-                            <label
-                              style={{
-                                fontSize: 12,
-                                color: "#475569",
-                              }}
-                            >
-                              Transport:
-                            </label>
-                            <select
-                              value={day.transport}
-                              onChange={(e) =>
-                                setTransportForDay(i, e.target.value)
-                              }
-                            >
-                              <option>Point-to-Point</option>
-                              <option>Day Cab</option>
-                              <option>Scooter</option>
-                              <option>Bicycle</option>
-                              <option>—</option>
-                            </select>
-                            <button
-                              onClick={() => addEmptyDayAfter(i)}
-                              style={pillBtn}
-                            >
-                              + Add empty day after
-                            </button>
-                            <button
-                              onClick={() => deleteDay(i)}
-                              style={dangerBtn}
-                              disabled={days.length <= 1}
-                            >
-                              Delete day
-                            </button>
-                          </div>
-                        )}
-                    </div>
-                  );
-                })}
-              </div>
+                            + Add empty day after
+                          </button>
+                          <button
+                            onClick={() => deleteDay(i)}
+                            style={dangerBtn}
+                            disabled={days.length <= 1}
+                          >
+                            Delete day
+                          </button>
+                        </div>
+                      )}
+                  </>
+                )}
+              />
 
               <div style={{ marginTop: 10 }}>
                 <button
@@ -1270,78 +2792,191 @@ export default function App() {
 
           {/* STEP 4: hotels */}
           {step === 4 && (
-            <Card title="Hotels by Island">
-              {Object.entries(nightsByIsland).map(([island, nights]) => (
-                <div key={island} style={{ marginBottom: 16 }}>
-                  <b>
-                    {island} — {nights} night(s)
-                  </b>
-                  <div
-                    style={{
-                      display: "grid",
-                      gridTemplateColumns:
-                        "repeat(auto-fill, minmax(220px,1fr))",
-                      gap: 10,
-                      marginTop: 8,
-                    }}
+            <Card title="Hotels by Stay">
+              <div
+                style={{
+                  fontSize: 12,
+                  color: "#475569",
+                  marginBottom: 8,
+                }}
+              >
+                {Object.entries(nightsByIsland)
+                  .map(([island, n]) => `${shortIslandName(island)} ${n}`)
+                  .join(", ")}{" "}
+                nights for {describeParty(travellers)}. Each hotel is priced
+                for the cheapest rooms that sleep everyone; change the rooms
+                under the hotel you select, or split a stay to move hotels.
+              </div>
+              <NightTable nights={nightRows} />
+              <Row>
+                <Field label="Tier">
+                  <select
+                    value={hotelFilters.tier}
+                    onChange={(e) =>
+                      setHotelFilters((f) => ({ ...f, tier: e.target.value }))
+                    }
                   >
-                    {(MOCK_HOTELS[island] || []).map((h) => {
-                      const picked = chosenHotels[island] === h.id;
-                      return (
-                        <div
-                          key={h.id}
-                          style={{
-                            border: "1px solid #e5e7eb",
-                            background: "white",
-                            borderRadius: 12,
-                            padding: 12,
-                          }}
+                    {["All", ...HOTEL_TIERS].map((t) => (
+                      <option key={t}>{t}</option>
+                    ))}
+                  </select>
+                </Field>
+                <Field label="Max price per night (party)">
+                  <input
+                    type="number"
+                    min={0}
+                    step={500}
+                    value={hotelFilters.maxPrice || ""}
+                    placeholder="Any"
+                    onChange={(e) =>
+                      setHotelFilters((f) => ({
+                        ...f,
+                        maxPrice: Math.max(0, Number(e.target.value) || 0),
+                      }))
+                    }
+                  />
+                </Field>
+                <Field label="Rating">
+                  <select
+                    value={hotelFilters.minRating}
+                    onChange={(e) =>
+                      setHotelFilters((f) => ({
+                        ...f,
+                        minRating: Number(e.target.value),
+                      }))
+                    }
+                  >
+                    <option value={0}>Any</option>
+                    {[3.5, 4, 4.5].map((r) => (
+                      <option key={r} value={r}>
+                        {r}+
+                      </option>
+                    ))}
+                  </select>
+                </Field>
+                <Field label="Sort by">
+                  <select
+                    value={hotelFilters.sort}
+                    onChange={(e) =>
+                      setHotelFilters((f) => ({ ...f, sort: e.target.value }))
+                    }
+                  >
+                    {Object.entries(HOTEL_SORTS).map(([key, label]) => (
+                      <option key={key} value={key}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </Field>
+              </Row>
+              {stays.map((stay) => {
+                const rows = hotelRows[stay.key] || [];
+                const all = hotelsOnIsland[stay.island] || [];
+                const picked = all.find((h) => h.id === chosenHotels[stay.key]);
+                const pickedHidden =
+                  picked && !rows.some((row) => row.hotel === picked);
+                const booked = hotelStays.find((s) => s.stay === stay);
+                return (
+                  <div key={stay.key} style={{ marginBottom: 16 }}>
+                    <b>
+                      {stay.island} — {stay.nights.length} night(s)
+                    </b>
+                    <div
+                      style={{
+                        display: "flex",
+                        flexWrap: "wrap",
+                        alignItems: "center",
+                        gap: 8,
+                        fontSize: 12,
+                        color: "#475569",
+                      }}
+                    >
+                      <span>{stayDatesLabel(stay)}</span>
+                      {stay.nights.length > 1 && (
+                        <select
+                          value=""
+                          onChange={(e) =>
+                            setStaySplits((s) =>
+                              splitStay(s, stay, Number(e.target.value))
+                            )
+                          }
+                          aria-label="Split this stay"
                         >
-                          <div
-                            style={{
-                              height: 80,
-                              background: "#e2e8f0",
-                              borderRadius: 8,
-                              marginBottom: 8,
-                            }}
-                          />
-                          <div
-                            style={{
-                              fontSize: 13,
-                              fontWeight: 600,
-                            }}
-                          >
-                            {h.name}
-                          </div>
-                          <div
-                            style={{
-                              fontSize: 12,
-                              color: "#475569",
-                            }}
-                          >
-                            {h.tier} • From {formatINR(h.sell_price)}/night
-                          </div>
-                          <button
-                            onClick={() => chooseHotel(island, h.id)}
-                            style={{
-                              marginTop: 8,
-                              width: "100%",
-                              padding: "8px 10px",
-                              borderRadius: 8,
-                              border: "1px solid #16a34a",
-                              background: picked ? "#16a34a" : "white",
-                              color: picked ? "white" : "#16a34a",
-                              fontWeight: 600,
-                            }}
-                          >
-                            {picked ? "Selected" : "Select"}
-                          </button>
-                        </div>
-                      );
-                    })}
+                          <option value="">Split this stay…</option>
+                          {stay.nights.slice(1).map((_, n) => (
+                            <option key={n} value={n + 1}>
+                              Change hotel after night {n + 1}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                      {stay.offset > 0 && (
+                        <button
+                          onClick={() =>
+                            setStaySplits((s) => mergeStay(s, stay))
+                          }
+                          style={pillBtn}
+                        >
+                          Same hotel as the nights before
+                        </button>
+                      )}
+                    </div>
+                    {pickedHidden && (
+                      <div style={{ fontSize: 12, color: "#92400e" }}>
+                        Your pick, {picked.name}, is hidden by the filters.
+                      </div>
+                    )}
+                    {!all.length ? (
+                      <div style={{ fontSize: 12, color: "#64748b" }}>
+                        No hotels listed on this island yet.
+                      </div>
+                    ) : !rows.length ? (
+                      <div style={{ fontSize: 12, color: "#64748b" }}>
+                        None of the {all.length} hotel(s) here match the
+                        filters.
+                      </div>
+                    ) : null}
+                    <div
+                      style={{
+                        display: "grid",
+                        gridTemplateColumns:
+                          "repeat(auto-fill, minmax(220px,1fr))",
+                        gap: 10,
+                        marginTop: 8,
+                      }}
+                    >
+                      {rows.map(({ hotel, alloc, perNight, km }) => (
+                        <HotelCard
+                          key={hotel.id}
+                          hotel={hotel}
+                          alloc={alloc}
+                          perNight={perNight}
+                          km={km}
+                          datedNights={stay.dates.some(Boolean)}
+                          picked={hotel === picked}
+                          onSelect={() => chooseHotel(stay.key, hotel.id)}
+                        />
+                      ))}
+                    </div>
+                    {booked && (
+                      <RoomPicker
+                        hotel={booked.hotel}
+                        alloc={booked.alloc}
+                        onChange={(roomTypeId, count) =>
+                          setRoomCount(
+                            stay.key,
+                            booked.alloc,
+                            booked.hotel,
+                            roomTypeId,
+                            count
+                          )
+                        }
+                        onReset={() => resetRooms(stay.key)}
+                      />
+                    )}
                   </div>
-                </div>
-              ))}
+                );
+              })}
               <FooterNav onPrev={() => setStep(3)} onNext={() => setStep(5)} />
             </Card>
           )}
@@ -1551,6 +3186,8 @@ export default function App() {
                   )
                 }
                 nextLabel="Request to Book"
+                nextDisabled={!!bookingBlocked}
+                nextTitle={bookingBlocked}
               />
             </Card>
           )}
@@ -1624,10 +3261,7 @@ export default function App() {
                   </div>
                   <div>
                     Travellers:{" "}
-                    <b>
-                      {adults} adult(s)
-                      {infants ? `, ${infants} infant(s)` : ""}
-                    </b>
+                    <b>{describeParty(travellers)}</b>
                   </div>
                 </div>
 
@@ -1642,7 +3276,44 @@ export default function App() {
                   }}
                 >
                   <RowSplit label="Hotels" value={formatINR(hotelsTotal)} />
+                  {hotelStays.map(({ stay, hotel, alloc, total, byNight }) => (
+                    <React.Fragment key={stay.key}>
+                      <SubRow
+                        label={[
+                          hotel.name,
+                          `${stay.nights.length} night(s)`,
+                          allocationLabel(alloc),
+                        ].join(" · ")}
+                        value={formatINR(total)}
+                      />
+                      {byNight
+                        .filter((n) => n.date)
+                        .map((n) => (
+                          <SubRow
+                            key={n.date}
+                            label={rateLine("hotel", n.date, holidays)}
+                            value={formatINR(n.amount)}
+                            nested
+                          />
+                        ))}
+                    </React.Fragment>
+                  ))}
                   <RowSplit label="Ferries" value={formatINR(ferryTotal)} />
+                  {ferryLegs.map(({ day, leg, kind, date, amount }, k) => (
+                    <SubRow
+                      key={k}
+                      label={[
+                        `Day ${day + 1}`,
+                        `${shortIslandName(leg.from)} → ${shortIslandName(
+                          leg.to
+                        )}`,
+                        date && rateNote(kind, date, holidays),
+                      ]
+                        .filter(Boolean)
+                        .join(" · ")}
+                      value={formatINR(amount)}
+                    />
+                  ))}
                   <RowSplit
                     label="Ground transport"
                     value={formatINR(logisticsTotal)}
@@ -1651,6 +3322,19 @@ export default function App() {
                     label="Adventures & add-ons"
                     value={formatINR(addonsTotal)}
                   />
+                  {addonPrices.map(({ activity, date, price }) => (
+                    <SubRow
+                      key={activity.id}
+                      label={[
+                        activity.name,
+                        priceBreakdown(price),
+                        date && rateNote("activity", date, holidays),
+                      ]
+                        .filter(Boolean)
+                        .join(" · ")}
+                      value={formatINR(price.total)}
+                    />
+                  ))}
                   <div
                     style={{
                       borderTop: "2px solid #0ea5e9",
@@ -1671,6 +3355,8 @@ export default function App() {
                       "This would submit a single Request-to-Book for the full trip."
                     )
                   }
+                  disabled={!!bookingBlocked}
+                  title={bookingBlocked || undefined}
                   style={{
                     marginTop: 12,
                     width: "100%",
@@ -1680,10 +3366,16 @@ export default function App() {
                     background: "#0ea5e9",
                     color: "white",
                     fontWeight: 800,
+                    opacity: bookingBlocked ? 0.5 : 1,
                   }}
                 >
                   Request to Book Full Trip
                 </button>
+                {bookingBlocked && (
+                  <div style={{ marginTop: 6, fontSize: 12, color: "#b91c1c" }}>
+                    {bookingBlocked}
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -1728,6 +3420,7 @@ export default function App() {
         onRequestToBook={() =>
           alert("This would submit a lead for the full itinerary.")
         }
+        bookingBlockedReason={bookingBlocked}
       />
     </div>
   );
@@ -1772,6 +3465,89 @@ function RowSplit({ label, value }) {
   );
 }
 
+// "2026-12-11" → "Fri 11 Dec"
+const shortDate = (date) =>
+  `${weekdayOf(date)} ${Number(date.slice(8))} ${tripMonthsLabel([date])}`;
+
+// "Fri 11 Dec · peak +20%, weekend +10%"
+const rateLine = (kind, date, holidays) =>
+  [shortDate(date), rateNote(kind, date, holidays)].filter(Boolean).join(" · ");
+
+// "Check in Fri 11 Dec (Day 1) · check out Sun 13 Dec (Day 3)"
+const stayDatesLabel = (stay) => {
+  const when = (date, day) =>
+    date ? `${shortDate(date)} (Day ${day + 1})` : `Day ${day + 1}`;
+  return (
+    `Check in ${when(stay.checkIn, stay.checkInDay)} · ` +
+    `check out ${when(stay.checkOut, stay.checkOutDay)}`
+  );
+};
+
+// Where each night is spent (see lib/stays.js) and in which hotel
+function NightTable({ nights }) {
+  const [open, setOpen] = useState(false);
+  const cell = { padding: "4px 6px", borderTop: "1px solid #e5e7eb" };
+  return (
+    <div style={{ marginBottom: 10, fontSize: 12, color: "#475569" }}>
+      <button onClick={() => setOpen((o) => !o)} style={pillBtn}>
+        {open ? "Hide" : "Show"} night-by-night ({nights.length} night(s))
+      </button>
+      {open && (
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "auto auto 1fr 1fr auto",
+            marginTop: 6,
+            border: "1px solid #e5e7eb",
+            borderRadius: 8,
+            background: "white",
+          }}
+        >
+          {nights.map((n, k) => (
+            <React.Fragment key={n.day}>
+              <span style={cell}>Night {k + 1}</span>
+              <span style={cell}>
+                {n.date ? shortDate(n.date) : `After Day ${n.day + 1}`}
+              </span>
+              <span style={cell}>
+                {shortIslandName(n.island)}
+                {n.arrivedFrom &&
+                  ` (arriving from ${shortIslandName(n.arrivedFrom)})`}
+              </span>
+              <span style={cell}>
+                {n.hotel ? n.hotel.name : "No hotel yet"}
+              </span>
+              <span style={{ ...cell, textAlign: "right" }}>
+                {n.amount != null ? formatINR(n.amount) : "—"}
+              </span>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// A detail line under a RowSplit (`nested`: under another SubRow)
+function SubRow({ label, value, nested }) {
+  return (
+    <div
+      style={{
+        display: "flex",
+        justifyContent: "space-between",
+        gap: 8,
+        marginTop: -4,
+        paddingLeft: nested ? 12 : 0,
+        fontSize: nested ? 11 : 12,
+        color: "#64748b",
+      }}
+    >
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+}
+
 function Card({ title, children }) {
   return (
     <div
@@ -1846,7 +3622,13 @@ function Field({ label, children }) {
   );
 }
 
-function FooterNav({ onPrev, onNext, nextLabel = "Next" }) {
+function FooterNav({
+  onPrev,
+  onNext,
+  nextLabel = "Next",
+  nextDisabled = false,
+  nextTitle,
+}) {
   return (
     <div
       style={{
@@ -1869,6 +3651,8 @@ function FooterNav({ onPrev, onNext, nextLabel = "Next" }) {
       </button>
       <button
         onClick={onNext}
+        disabled={nextDisabled}
+        title={nextTitle || undefined}
         style={{
           padding: "8px 12px",
           borderRadius: 8,
@@ -1876,6 +3660,7 @@ function FooterNav({ onPrev, onNext, nextLabel = "Next" }) {
           background: "#0ea5e9",
           color: "white",
           fontWeight: 700,
+          opacity: nextDisabled ? 0.5 : 1,
         }}
       >
         {nextLabel}
@@ -1925,6 +3710,13 @@ function Stepper({ step, setStep }) {
   );
 }
 
+// Day chips for legs without a sailing, by their `sailingIssueKind`
+const SAILING_ISSUE_CHIPS = {
+  route: "No direct route",
+  day: "No sailing that day",
+  connection: "No connecting sailing",
+};
+
 function Chip({ children, tone }) {
   const tones = {
     blue: {
@@ -1942,6 +3734,11 @@ function Chip({ children, tone }) {
       border: "#fecaca",
       color: "#991b1b",
     },
+    amber: {
+      bg: "#fffbeb",
+      border: "#fde68a",
+      color: "#92400e",
+    },
   };
   const t = tones[tone] || tones.blue;
   return (
@@ -1960,7 +3757,306 @@ function Chip({ children, tone }) {
   );
 }
 
-function AdventureCard({ adventure, active, onToggle }) {
+// Data links (see dataLinks.js) that didn't resolve: their adventures
+// can't be suggested, so say so rather than drop them quietly
+function DataLinkReport({ problems }) {
+  if (!problems.length) return null;
+  return (
+    <details style={{ marginTop: 12, fontSize: 12, color: "#92400e" }}>
+      <summary>
+        Some data links couldn't be resolved, so their adventures aren't
+        suggested
+      </summary>
+      <ul style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+        {problems.map((p) => (
+          <li key={p}>{p}</li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+function IslandOrderSummary({ plan }) {
+  const saved = [];
+  if (plan.savedMin > 0) saved.push(durationLabel(plan.savedMin));
+  if (plan.savedLegs > 0) saved.push(`${plan.savedLegs} leg(s)`);
+  // The order is chosen on time and legs together, so one of them can go
+  // up while the other comes down; the greedy order used for very long
+  // trips can even cost more on both
+  const costs = [];
+  if (plan.savedMin < 0) costs.push(`${durationLabel(-plan.savedMin)} more`);
+  if (plan.savedLegs < 0) costs.push(`${-plan.savedLegs} more leg(s)`);
+  const naive = plan.naive
+    ? ` the default order (${plan.naive.order.join(" → ")})`
+    : "";
+  const more = `${costs.join(" and ")} of travel`;
+  let verdict = " — already the quickest order";
+  if (saved.length) {
+    verdict = ` — saves ${saved.join(" and ")} vs.${naive}`;
+    if (costs.length) verdict += ` for ${more}`;
+  } else if (costs.length) {
+    verdict = ` — ${more} than${naive}`;
+  }
+  return (
+    <div
+      style={{
+        fontSize: 12,
+        color: "#334155",
+        background: "#f0f9ff",
+        border: "1px solid #bae6fd",
+        borderRadius: 10,
+        padding: "8px 10px",
+        marginBottom: 12,
+      }}
+    >
+      <div>
+        Island order: <b>{plan.order.join(" → ")}</b>
+      </div>
+      <div>
+        Travel between islands: ~{durationLabel(plan.durationMin)} over{" "}
+        {plan.legs} leg(s)
+        {verdict}
+      </div>
+    </div>
+  );
+}
+
+function TimeSlot({ item }) {
+  if (item.unscheduled) {
+    return (
+      <span
+        style={{ ...slotStyle, color: "#b91c1c" }}
+        title={item.scheduleNote || ""}
+      >
+        no slot
+      </span>
+    );
+  }
+  if (!item.start) return null;
+  return (
+    <span style={slotStyle}>
+      {item.start}–{item.end}
+    </span>
+  );
+}
+
+const slotStyle = {
+  display: "inline-block",
+  minWidth: 92,
+  marginRight: 6,
+  fontSize: 12,
+  color: "#0369a1",
+  fontVariantNumeric: "tabular-nums",
+};
+
+function FerryLegInfo({ item }) {
+  if (item.sailingIssue) {
+    return (
+      <span style={{ display: "block", fontSize: 12, color: "#b91c1c" }}>
+        {item.sailingIssue}
+      </span>
+    );
+  }
+  if (!item.sailing) {
+    return item.durationMin ? (
+      <span style={{ display: "block", fontSize: 12, color: "#475569" }}>
+        ~{durationLabel(item.durationMin)}
+      </span>
+    ) : null;
+  }
+  const s = item.sailing;
+  return (
+    <span style={{ display: "block", fontSize: 12, color: "#475569" }}>
+      {s.depart}–{s.arrive}
+      {s.overnight ? " (+1)" : ""} • {s.operator}
+      {s.vessel && s.vessel !== s.operator ? ` (${s.vessel})` : ""}
+      {item.alternatives?.length
+        ? ` • ${item.alternatives.length} other sailing(s)`
+        : ""}
+    </span>
+  );
+}
+
+// "Phoenix Bay jetty → Cellular Jail → … → Phoenix Bay jetty · ≈12 km".
+// Road km are estimated from straight-line distance (see roads.js), and
+// so are the fares and cab km worked out from them.
+function DayRouteInfo({ route, transport, onReorder }) {
+  const saving = Math.round((route.km - route.bestKm) * 10) / 10;
+  const stops = [route.legs[0].from, ...route.legs.map((l) => l.to)];
+  let price = null;
+  if (transport === "Point-to-Point") {
+    const p = priceRoute(route, P2P_TARIFF);
+    price = `≈${formatINR(p.amount)} point-to-point (${p.hops} hops)`;
+  } else if (transport === "Day Cab") {
+    const extra = Math.max(0, route.km - CAB_INCLUDED_KM);
+    price = extra
+      ? `≈${Math.round(extra)} km over the cab's ${CAB_INCLUDED_KM} km`
+      : `within the cab's ${CAB_INCLUDED_KM} km`;
+  }
+  return (
+    <div
+      style={{
+        marginTop: 6,
+        fontSize: 12,
+        color: "#475569",
+        display: "flex",
+        gap: 8,
+        alignItems: "center",
+        flexWrap: "wrap",
+      }}
+    >
+      <span title="Road distances are estimated from straight-line distance">
+        Route: {stops.join(" → ")} • ≈{route.km} km (estimated)
+        {price ? ` • ${price}` : ""}
+      </span>
+      {saving >= 1 && (
+        <button onClick={onReorder} style={miniBtn}>
+          Shorter order (−{saving} km)
+        </button>
+      )}
+    </div>
+  );
+}
+
+// One validation issue on a day card: red for errors, amber for warnings
+function IssueNote({ issue }) {
+  const error = issue.severity === "error";
+  return (
+    <div
+      role={error ? "alert" : undefined}
+      style={{
+        marginTop: 6,
+        fontSize: 12,
+        color: error ? "#991b1b" : "#92400e",
+        background: error ? "#fef2f2" : "#fffbeb",
+        border: `1px solid ${error ? "#fecaca" : "#fde68a"}`,
+        borderRadius: 8,
+        padding: "4px 8px",
+      }}
+    >
+      {error ? "✕" : "⚠︎"} {issue.message}
+    </div>
+  );
+}
+
+function HotelCard({
+  hotel,
+  alloc,
+  perNight,
+  km,
+  datedNights,
+  picked,
+  onSelect,
+}) {
+  const line = { fontSize: 12, color: "#475569" };
+  return (
+    <div
+      style={{
+        border: "1px solid #e5e7eb",
+        background: "white",
+        borderRadius: 12,
+        padding: 12,
+      }}
+    >
+      {hotel.images[0] ? (
+        <img
+          src={hotel.images[0]}
+          alt={hotel.name}
+          style={{
+            width: "100%",
+            height: 80,
+            objectFit: "cover",
+            borderRadius: 8,
+            marginBottom: 8,
+          }}
+        />
+      ) : (
+        <div
+          style={{
+            height: 80,
+            background: "#e2e8f0",
+            borderRadius: 8,
+            marginBottom: 8,
+          }}
+        />
+      )}
+      <div style={{ fontSize: 13, fontWeight: 600 }}>{hotel.name}</div>
+      <div style={line}>
+        {hotel.rating ? `★ ${hotel.rating} • ` : ""}
+        {hotel.area ? `${hotel.area} • ` : ""}
+        {hotel.tier}
+      </div>
+      <div style={line}>From {formatINR(fromPrice(hotel))}/room/night</div>
+      <div style={line}>
+        <b>{formatINR(perNight)}</b>/night for your party
+        {datedNights ? " on your dates" : " (peak rate)"}
+      </div>
+      <div style={line}>{allocationLabel(alloc)}</div>
+      {!alloc.fits && (
+        <div style={{ fontSize: 12, color: "#92400e" }}>
+          ⚠︎ These rooms can't sleep your whole party
+        </div>
+      )}
+      {km != null && (
+        <div style={line}>≈ {km.toFixed(1)} km to your sights here</div>
+      )}
+      {hotel.amenities.length > 0 && (
+        <div style={{ ...line, marginTop: 4, textTransform: "capitalize" }}>
+          {hotel.amenities.join(" · ")}
+        </div>
+      )}
+      {hotel.mealPlans.length > 0 && (
+        <div style={{ ...line, marginTop: 4 }}>
+          Meals:{" "}
+          {hotel.mealPlans
+            .map((m) =>
+              m.perPersonINR
+                ? `${m.label} +${formatINR(m.perPersonINR)}/person`
+                : m.label
+            )
+            .join("; ")}
+        </div>
+      )}
+      <div style={{ ...line, marginTop: 4 }}>
+        Room types: {hotel.roomTypes.map(roomTypeLabel).join("; ")}
+      </div>
+      <button
+        onClick={onSelect}
+        style={{
+          marginTop: 8,
+          width: "100%",
+          padding: "8px 10px",
+          borderRadius: 8,
+          border: "1px solid #16a34a",
+          background: picked ? "#16a34a" : "white",
+          color: picked ? "white" : "#16a34a",
+          fontWeight: 600,
+        }}
+      >
+        {picked ? "Selected" : "Select"}
+      </button>
+    </div>
+  );
+}
+
+// "2 people × ₹3,500", "1 boat (up to 6) × ₹25,000"
+function priceBreakdown(price) {
+  const fits = price.unit === "per_person" ? "" : ` (up to ${price.capacity})`;
+  return `${unitLabel(price.unit, price.quantity)}${fits} × ${formatINR(
+    price.unitPrice
+  )}`;
+}
+
+function AdventureCard({
+  adventure,
+  price,
+  blockers = [],
+  offSeason,
+  active,
+  onToggle,
+  warning,
+  scheduledDay,
+}) {
   return (
     <div
       style={{
@@ -1968,6 +4064,7 @@ function AdventureCard({ adventure, active, onToggle }) {
         background: "white",
         borderRadius: 12,
         padding: 12,
+        opacity: offSeason && !active ? 0.55 : 1,
       }}
     >
       <div
@@ -1981,9 +4078,47 @@ function AdventureCard({ adventure, active, onToggle }) {
       <div style={{ fontSize: 13, fontWeight: 600 }}>
         {adventure.name}
       </div>
+      {offSeason && (
+        <div style={{ fontSize: 12, color: "#92400e" }}>⚠︎ {offSeason}</div>
+      )}
       <div style={{ fontSize: 12, color: "#475569" }}>
-        {formatINR(adventure.basePriceINR ?? adventure.price ?? 0)}
+        {price ? (
+          <>
+            <b>{formatINR(price.total)}</b>
+            {price.quantity > 0 && ` · ${priceBreakdown(price)}`}
+          </>
+        ) : (
+          formatINR(adventure.basePriceINR ?? adventure.price ?? 0)
+        )}
       </div>
+      {price && (
+        <div style={{ marginTop: 4 }}>
+          {blockers.length === 0 ? (
+            <Chip tone="green">Everyone can join</Chip>
+          ) : price.joining ? (
+            <Chip tone="amber">
+              {price.joining} of {price.joining + price.excluded} can join
+            </Chip>
+          ) : (
+            <Chip tone="red">Nobody in your party can join</Chip>
+          )}
+          {blockers.map((b) => (
+            <div key={b.index} style={{ fontSize: 12, color: "#64748b" }}>
+              {b.label}: {b.reason}
+            </div>
+          ))}
+        </div>
+      )}
+      {active && scheduledDay != null && (
+        <div style={{ marginTop: 4, fontSize: 12, color: "#166534" }}>
+          On Day {scheduledDay + 1} of your itinerary
+        </div>
+      )}
+      {warning && (
+        <div style={{ marginTop: 4, fontSize: 12, color: "#92400e" }}>
+          ⚠︎ {warning}
+        </div>
+      )}
       <button
         onClick={onToggle}
         style={{
@@ -0,0 +1,140 @@
+import React, { useState } from "react";
+
+/**
+ * HistoryControls
+ *
+ * Undo / redo buttons plus a dropdown listing every step of the planning
+ * history (see `src/lib/history.js`). Clicking a step jumps straight to it;
+ * steps after the current one stay listed (greyed) until something new is
+ * done. Keyboard shortcuts are wired up by the caller.
+ *
+ * Props:
+ * - entries: [{ label, at }]   // oldest first
+ * - current                    // index of the current step
+ * - onUndo(), onRedo(), onJump(index)
+ */
+export default function HistoryControls({
+  entries = [],
+  current = 0,
+  onUndo,
+  onRedo,
+  onJump,
+}) {
+  const [open, setOpen] = useState(false);
+  const canUndo = current > 0;
+  const canRedo = current < entries.length - 1;
+  const isMac =
+    typeof navigator !== "undefined" && /Mac/i.test(navigator.platform || "");
+  const mod = isMac ? "⌘" : "Ctrl+";
+
+  return (
+    <div style={{ position: "relative", display: "inline-flex", gap: 4 }}>
+      <button
+        onClick={onUndo}
+        disabled={!canUndo}
+        style={btn}
+        title={
+          canUndo
+            ? `Undo ${entries[current].label} (${mod}Z)`
+            : "Nothing to undo"
+        }
+        aria-label="Undo"
+      >
+        ↶
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!canRedo}
+        style={btn}
+        title={
+          canRedo
+            ? `Redo ${entries[current + 1].label} (${mod}Shift+Z)`
+            : "Nothing to redo"
+        }
+        aria-label="Redo"
+      >
+        ↷
+      </button>
+      <button
+        onClick={() => setOpen((v) => !v)}
+        style={btn}
+        aria-expanded={open}
+        aria-haspopup="true"
+      >
+        History ▾
+      </button>
+
+      {open && (
+        <>
+          {/* outside click closes */}
+          <div
+            onClick={() => setOpen(false)}
+            style={{ position: "fixed", inset: 0, zIndex: 20 }}
+          />
+          <ol
+            style={{
+              position: "absolute",
+              right: 0,
+              top: "100%",
+              marginTop: 4,
+              zIndex: 21,
+              width: 260,
+              maxHeight: 320,
+              overflowY: "auto",
+              listStyle: "none",
+              padding: 6,
+              background: "white",
+              border: "1px solid #e5e7eb",
+              borderRadius: 10,
+              boxShadow: "0 8px 24px rgba(15,23,42,0.12)",
+              fontSize: 12,
+            }}
+          >
+            {entries
+              .map((e, i) => ({ e, i }))
+              .reverse()
+              .map(({ e, i }) => (
+                <li key={i}>
+                  <button
+                    onClick={() => {
+                      onJump(i);
+                      setOpen(false);
+                    }}
+                    style={{
+                      width: "100%",
+                      textAlign: "left",
+                      display: "flex",
+                      justifyContent: "space-between",
+                      gap: 8,
+                      padding: "5px 8px",
+                      border: "none",
+                      borderRadius: 6,
+                      background: i === current ? "#e0f2fe" : "transparent",
+                      color: i > current ? "#94a3b8" : "#0f172a",
+                      fontWeight: i === current ? 700 : 400,
+                    }}
+                  >
+                    <span>{e.label}</span>
+                    <span style={{ color: "#94a3b8" }}>
+                      {new Date(e.at).toLocaleTimeString([], {
+                        hour: "2-digit",
+                        minute: "2-digit",
+                      })}
+                    </span>
+                  </button>
+                </li>
+              ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
+
+const btn = {
+  padding: "3px 8px",
+  borderRadius: 6,
+  border: "1px solid #e5e7eb",
+  background: "white",
+  fontSize: 12,
+};
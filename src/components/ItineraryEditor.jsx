@@ -0,0 +1,341 @@
+import React, { useState } from "react";
+
+/**
+ * ItineraryEditor
+ *
+ * Day cards with drag-and-drop editing: move sights within a day or to any
+ * other day, and reorder whole days. Works with a mouse, touch (pointer
+ * events) and the keyboard: focus a ⠿ handle, press Space/Enter to pick
+ * up, arrow keys to move, Space/Enter to drop, Escape to cancel.
+ *
+ * The editor only knows positions; what may move where comes from the
+ * caller (see `src/lib/itineraryEdit.js`).
+ *
+ * Props:
+ * - days                          // as displayed (with times)
+ * - orderOf(dayIndex)             // → [{ it, k }] in display order
+ * - isLocked(item)                // no handle (flights, ferries…)
+ * - canDrop(item, dayIndex)
+ * - dayRange(dayIndex)            // → [first, last] or null (day can't move)
+ * - onMoveItem({ day, k }, { day, pos })
+ * - onMoveDay(from, to)
+ * - renderDayHeader(day, i), renderDayBody(day, i),
+ *   renderItem(item, k, i), renderDayFooter(day, i)
+ */
+export default function ItineraryEditor({
+  days,
+  orderOf,
+  isLocked,
+  canDrop,
+  dayRange,
+  onMoveItem,
+  onMoveDay,
+  renderDayHeader,
+  renderDayBody,
+  renderItem,
+  renderDayFooter,
+}) {
+  // { kind: "item", from: { day, k }, over: { day, pos } | null, via }
+  // { kind: "day", from, over: dayIndex | null, via }
+  const [drag, setDrag] = useState(null);
+  const [announce, setAnnounce] = useState("");
+
+  const itemOf = (from) => days[from.day]?.items[from.k];
+  const isDragged = (i, k) =>
+    drag?.kind === "item" && drag.from.day === i && drag.from.k === k;
+  // Display order of a day without the item being dragged
+  const listWithout = (i) => orderOf(i).filter(({ k }) => !isDragged(i, k));
+
+  const dayOk = (d, i) =>
+    d.kind === "item"
+      ? canDrop(itemOf(d.from), i)
+      : (() => {
+          const range = dayRange(d.from);
+          return !!range && i >= range[0] && i <= range[1];
+        })();
+
+  const describe = (d) => {
+    if (!d.over && d.over !== 0) return "No valid spot here";
+    return d.kind === "item"
+      ? `Day ${d.over.day + 1}, position ${d.over.pos + 1}`
+      : `Day position ${d.over + 1}`;
+  };
+
+  /* ---------- pointer (mouse + touch) ---------- */
+
+  const targetAt = (x, y, d) => {
+    const el = document.elementFromPoint(x, y);
+    const dayEl = el?.closest?.("[data-edit-day]");
+    if (!dayEl) return null;
+    const day = Number(dayEl.getAttribute("data-edit-day"));
+    if (!dayOk(d, day)) return null;
+    if (d.kind === "day") return day;
+
+    const li = el.closest("[data-edit-pos]");
+    if (!li) return { day, pos: listWithout(day).length };
+    const pos = Number(li.getAttribute("data-edit-pos"));
+    if (li.hasAttribute("data-edit-self")) return { day, pos };
+    const r = li.getBoundingClientRect();
+    return { day, pos: y > r.top + r.height / 2 ? pos + 1 : pos };
+  };
+
+  const start = (d) => {
+    setDrag(d);
+    setAnnounce(
+      d.via === "keyboard"
+        ? "Picked up. Arrow keys to move, Space or Enter to drop, Escape to cancel."
+        : ""
+    );
+  };
+
+  const finish = () => {
+    if (!drag) return;
+    if (drag.over != null) {
+      if (drag.kind === "item") onMoveItem(drag.from, drag.over);
+      else if (drag.over !== drag.from) onMoveDay(drag.from, drag.over);
+      setAnnounce(`Dropped: ${describe(drag)}`);
+    }
+    setDrag(null);
+  };
+
+  const cancel = () => {
+    setDrag(null);
+    setAnnounce("Move cancelled");
+  };
+
+  const pointerHandlers = (make) => ({
+    onPointerDown: (e) => {
+      if (e.button !== undefined && e.button !== 0) return;
+      e.preventDefault();
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      start({ ...make(), via: "pointer" });
+    },
+    onPointerMove: (e) => {
+      if (drag?.via !== "pointer") return;
+      const over = targetAt(e.clientX, e.clientY, drag);
+      setDrag((d) => d && { ...d, over });
+    },
+    onPointerUp: () => drag?.via === "pointer" && finish(),
+    onPointerCancel: () => drag?.via === "pointer" && cancel(),
+  });
+
+  /* ---------- keyboard ---------- */
+
+  const stepItem = (d, key) => {
+    const valid = days.map((_, i) => i).filter((i) => dayOk(d, i));
+    const { day, pos } = d.over;
+    const len = (i) => listWithout(i).length;
+    const prev = valid.filter((i) => i < day).pop();
+    const next = valid.find((i) => i > day);
+
+    if (key === "ArrowUp") {
+      if (pos > 0) return { day, pos: pos - 1 };
+      return prev !== undefined ? { day: prev, pos: len(prev) } : d.over;
+    }
+    if (key === "ArrowDown") {
+      if (pos < len(day)) return { day, pos: pos + 1 };
+      return next !== undefined ? { day: next, pos: 0 } : d.over;
+    }
+    if (key === "ArrowLeft") {
+      return prev !== undefined ? { day: prev, pos: len(prev) } : d.over;
+    }
+    return next !== undefined ? { day: next, pos: len(next) } : d.over;
+  };
+
+  const stepDay = (d, key) => {
+    const [first, last] = dayRange(d.from);
+    const delta = key === "ArrowUp" || key === "ArrowLeft" ? -1 : 1;
+    return Math.max(first, Math.min(last, d.over + delta));
+  };
+
+  const keyHandler = (make) => (e) => {
+    const mine = drag?.via === "keyboard";
+    if (!mine) {
+      if (e.key === " " || e.key === "Enter") {
+        e.preventDefault();
+        start({ ...make(), via: "keyboard" });
+      }
+      return;
+    }
+    if (e.key === "Escape") {
+      e.preventDefault();
+      cancel();
+    } else if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      finish();
+    } else if (/^Arrow/.test(e.key)) {
+      e.preventDefault();
+      const over =
+        drag.kind === "item" ? stepItem(drag, e.key) : stepDay(drag, e.key);
+      const next = { ...drag, over };
+      setDrag(next);
+      setAnnounce(describe(next));
+    }
+  };
+
+  /* ---------- render ---------- */
+
+  const dropLine = <div style={dropLineStyle} aria-hidden="true" />;
+
+  return (
+    <div style={{ display: "grid", gap: 12 }}>
+      <div aria-live="polite" style={srOnly}>
+        {announce}
+      </div>
+
+      {days.map((day, i) => {
+        const order = orderOf(i);
+        const range = dayRange(i);
+        const dayDrag = drag?.kind === "day" ? drag : null;
+        const itemDrag = drag?.kind === "item" ? drag : null;
+        const dimmed = !!drag && !dayOk(drag, i);
+        const overHere = itemDrag?.over?.day === i ? itemDrag.over.pos : null;
+        let pos = 0; // position counted without the dragged item
+
+        return (
+          <React.Fragment key={i}>
+            {dayDrag?.over === i && dayDrag.over < dayDrag.from && dropLine}
+            <div
+              data-edit-day={i}
+              style={{
+                border: "1px solid #e5e7eb",
+                background: "white",
+                borderRadius: 12,
+                padding: 12,
+                opacity: dimmed ? 0.5 : 1,
+                outline: dayDrag?.from === i ? "2px dashed #0ea5e9" : undefined,
+              }}
+            >
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                {range && (
+                  <button
+                    type="button"
+                    aria-label={`Move day ${i + 1}`}
+                    title="Drag (or Space + arrow keys) to reorder this day"
+                    style={handleStyle}
+                    onKeyDown={keyHandler(() => ({
+                      kind: "day",
+                      from: i,
+                      over: i,
+                    }))}
+                    {...pointerHandlers(() => ({
+                      kind: "day",
+                      from: i,
+                      over: i,
+                    }))}
+                  >
+                    ⠿
+                  </button>
+                )}
+                <div style={{ flex: 1 }}>{renderDayHeader(day, i)}</div>
+              </div>
+
+              {renderDayBody?.(day, i)}
+
+              <ul
+                style={{
+                  marginTop: 8,
+                  paddingLeft: 0,
+                  listStyle: "none",
+                  fontSize: 14,
+                  minHeight: drag?.kind === "item" ? 24 : undefined,
+                }}
+              >
+                {order.map(({ it, k }, fullIdx) => {
+                  const self = isDragged(i, k);
+                  const here = self ? fullIdx : pos++;
+                  const locked = isLocked(it);
+                  return (
+                    <React.Fragment key={k}>
+                      {!self && overHere === here && dropLine}
+                      <li
+                        data-edit-pos={here}
+                        data-edit-self={self ? "" : undefined}
+                        style={{
+                          display: "flex",
+                          gap: 8,
+                          alignItems: "center",
+                          padding: "2px 0",
+                          opacity: self ? 0.4 : 1,
+                        }}
+                      >
+                        {locked ? (
+                          <span
+                            style={lockStyle}
+                            title="Fixed: moving it would break the trip"
+                          >
+                            🔒
+                          </span>
+                        ) : (
+                          <button
+                            type="button"
+                            aria-label={`Move ${it.name}`}
+                            title="Drag (or Space + arrow keys) to move"
+                            style={handleStyle}
+                            onKeyDown={keyHandler(() => ({
+                              kind: "item",
+                              from: { day: i, k },
+                              over: { day: i, pos: fullIdx },
+                            }))}
+                            {...pointerHandlers(() => ({
+                              kind: "item",
+                              from: { day: i, k },
+                              over: null,
+                            }))}
+                          >
+                            ⠿
+                          </button>
+                        )}
+                        <span style={{ flex: 1 }}>{renderItem(it, k, i)}</span>
+                      </li>
+                    </React.Fragment>
+                  );
+                })}
+                {overHere != null && overHere >= pos && dropLine}
+              </ul>
+
+              {renderDayFooter?.(day, i)}
+            </div>
+            {dayDrag?.over === i && dayDrag.over > dayDrag.from && dropLine}
+          </React.Fragment>
+        );
+      })}
+    </div>
+  );
+}
+
+const handleStyle = {
+  cursor: "grab",
+  touchAction: "none",
+  border: "1px solid #e5e7eb",
+  background: "#f8fafc",
+  borderRadius: 6,
+  padding: "0 6px",
+  fontSize: 14,
+  lineHeight: "22px",
+  color: "#475569",
+};
+
+const lockStyle = {
+  width: 26,
+  textAlign: "center",
+  fontSize: 11,
+  opacity: 0.6,
+};
+
+const dropLineStyle = {
+  height: 3,
+  background: "#0ea5e9",
+  borderRadius: 2,
+  margin: "2px 0",
+};
+
+// Visually hidden, still read by screen readers
+const srOnly = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
@@ -1,4 +1,6 @@
 import React, { useState } from "react";
+import { formatOpeningHours, formatShowTimes } from "../lib/openingHours.js";
+import { shortIslandName } from "../lib/islands.js";
 
 /**
  * LocationModal
@@ -15,10 +17,13 @@ import React, { useState } from "react";
  *   visitTips: [ "...", "..." ],
  *   highlights: [ "...", "..." ],
  *   bestTime: "October to May, evenings for the show",
+ *   openingHours: [ { open: "09:00", close: "12:30" }, ... ],
+ *   closedDays: [ "Mon" ],
+ *   showTimes: [ { time: "17:30", durationMin: 60, label: "..." }, ... ],
  *   durationSuggested: "1.5–2 hours",
  *   galleryImages: [ "/img/cellular-1.jpg", "/img/cellular-2.jpg" ],
  *   nearby: [ { id, name, island }, ... ],
- *   adventures: [ { id, name, basePriceINR, price, type, category }, ... ]
+ *   adventures: [ { id, name, island, basePriceINR, price, type, category }, ... ]
  * }
  *
  * Callbacks:
@@ -54,6 +59,7 @@ function LocationModal({
     visitTips = [],
     highlights = [],
     bestTime,
+    closedDays = [],
     durationSuggested,
     galleryImages = [],
     nearby = [],
@@ -312,6 +318,39 @@ function LocationModal({
                 {durationSuggested || "1–2 hours"}
               </span>
             </p>
+            {formatOpeningHours(location) && (
+              <p
+                style={{
+                  fontSize: "0.85rem",
+                  margin: 0,
+                  marginTop: "4px",
+                  color: "#4B5563",
+                }}
+              >
+                <strong>Open:</strong>{" "}
+                <span style={{ fontWeight: 400 }}>
+                  {formatOpeningHours(location)}
+                  {closedDays.length
+                    ? ` (closed ${closedDays.join(", ")})`
+                    : ""}
+                </span>
+              </p>
+            )}
+            {formatShowTimes(location) && (
+              <p
+                style={{
+                  fontSize: "0.85rem",
+                  margin: 0,
+                  marginTop: "4px",
+                  color: "#4B5563",
+                }}
+              >
+                <strong>Shows:</strong>{" "}
+                <span style={{ fontWeight: 400 }}>
+                  {formatShowTimes(location)}
+                </span>
+              </p>
+            )}
           </section>
         </div>
 
@@ -608,6 +647,7 @@ function LocationModal({
                         }}
                       >
                         {adv.type || adv.category || "Adventure"}
+                        {adv.island ? ` · ${shortIslandName(adv.island)}` : ""}
                       </div>
                       <div
                         style={{
@@ -15,6 +15,7 @@ export default function MobileSummaryBar({
   lineItems = [], // [{label, amount}]
   badges = [],    // [{label, value}]
   onRequestToBook,
+  bookingBlockedReason = null, // set → booking disabled, reason shown
   phoneNumber = "+91-0000000000", // change this to your real number
 }) {
   const [open, setOpen] = useState(false);
@@ -222,6 +223,7 @@ export default function MobileSummaryBar({
               >
                 <button
                   onClick={onRequestToBook}
+                  disabled={!!bookingBlockedReason}
                   style={{
                     width: "100%",
                     padding: "10px 12px",
@@ -232,10 +234,22 @@ export default function MobileSummaryBar({
                     color: "white",
                     fontWeight: 800,
                     fontSize: 13,
+                    opacity: bookingBlockedReason ? 0.5 : 1,
                   }}
                 >
                   Request to Book This Trip
                 </button>
+                {bookingBlockedReason && (
+                  <div
+                    style={{
+                      fontSize: 12,
+                      color: "#b91c1c",
+                      textAlign: "center",
+                    }}
+                  >
+                    {bookingBlockedReason}
+                  </div>
+                )}
 
                 <a
                   href={`tel:${phoneNumber}`}
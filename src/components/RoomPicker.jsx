@@ -0,0 +1,95 @@
+import React from "react";
+import { allocationLabel, roomTypeLabel } from "../lib/hotels.js";
+
+/**
+ * RoomPicker
+ *
+ * The rooms booked at the hotel chosen on an island (see
+ * `allocateRooms` in `src/lib/hotels.js`). Starts from the cheapest mix
+ * that sleeps the party; changing a count keeps the user's own mix until
+ * they go back to the suggestion. Under-fives the hotel lets share a bed
+ * aren't counted.
+ *
+ * Props:
+ * - hotel
+ * - alloc: { rooms: [{ room, count, extraBeds }], party, fits, custom }
+ * - onChange(roomTypeId, count)
+ * - onReset()                  // back to the suggested rooms
+ */
+export default function RoomPicker({ hotel, alloc, onChange, onReset }) {
+  const countOf = (id) => alloc.rooms.find((r) => r.room.id === id)?.count;
+  const { adults, children, sharing } = alloc.party;
+
+  return (
+    <div
+      style={{
+        marginTop: 8,
+        padding: 10,
+        border: "1px solid #e5e7eb",
+        borderRadius: 10,
+        background: "#f8fafc",
+        fontSize: 12,
+        color: "#475569",
+      }}
+    >
+      <div style={{ fontWeight: 600, color: "#0f172a", marginBottom: 6 }}>
+        Rooms at {hotel.name}
+      </div>
+      <div style={{ marginBottom: 6 }}>
+        Sleeping {adults} adult(s)
+        {children ? `, ${children} child(ren)` : ""}
+        {sharing ? `; ${sharing} young child(ren) share a bed` : ""}
+      </div>
+      {hotel.roomTypes.map((room) => (
+        <label
+          key={room.id}
+          style={{
+            display: "flex",
+            alignItems: "center",
+            gap: 8,
+            marginBottom: 4,
+          }}
+        >
+          <input
+            type="number"
+            min={0}
+            max={20}
+            value={countOf(room.id) ?? 0}
+            onChange={(e) =>
+              onChange(
+                room.id,
+                Math.max(0, Math.floor(Number(e.target.value) || 0))
+              )
+            }
+            style={{ width: 52 }}
+          />
+          <span>{roomTypeLabel(room)}</span>
+        </label>
+      ))}
+      {alloc.rooms.length > 0 && (
+        <div style={{ marginTop: 4 }}>{allocationLabel(alloc)}</div>
+      )}
+      {!alloc.fits && (
+        <div style={{ marginTop: 4, color: "#92400e" }}>
+          ⚠︎ These rooms can't sleep your whole party
+        </div>
+      )}
+      {alloc.custom && (
+        <button
+          onClick={onReset}
+          style={{
+            marginTop: 6,
+            padding: "4px 10px",
+            borderRadius: 999,
+            border: "1px solid #0ea5e9",
+            background: "white",
+            color: "#0ea5e9",
+            fontSize: 12,
+          }}
+        >
+          Use suggested rooms
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React from "react";
+
+/**
+ * SavedTrips
+ *
+ * Header control for the trips kept in localStorage: switch between them,
+ * start a new one, rename or delete the current one, or copy a share link.
+ * Saving itself is automatic (see `src/lib/tripStorage.js`).
+ *
+ * Props:
+ * - trips: [{ id, name, updatedAt }]
+ * - activeId
+ * - saveOk        // false when the last write to storage failed
+ * - shareStatus   // short note after copying a link ("Link copied")
+ * - onSwitch(id), onNew(), onRename(name), onDelete(), onShare()
+ */
+export default function SavedTrips({
+  trips = [],
+  activeId,
+  saveOk = true,
+  onSwitch,
+  onNew,
+  onRename,
+  onDelete,
+  onShare,
+  shareStatus = "",
+}) {
+  const active = trips.find((t) => t.id === activeId);
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: 6,
+        fontSize: 12,
+        flexWrap: "wrap",
+      }}
+    >
+      {trips.length > 1 && (
+        <select
+          value={activeId || ""}
+          onChange={(e) => onSwitch?.(e.target.value)}
+          aria-label="Saved trips"
+          style={{ fontSize: 12 }}
+        >
+          {trips.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+            </option>
+          ))}
+        </select>
+      )}
+      {active && (
+        <input
+          value={active.name}
+          onChange={(e) => onRename?.(e.target.value)}
+          aria-label="Trip name"
+          style={{
+            fontSize: 12,
+            width: 140,
+            padding: "3px 6px",
+            border: "1px solid #e5e7eb",
+            borderRadius: 6,
+          }}
+        />
+      )}
+      <button onClick={onNew} style={btn} title="Start a new saved trip">
+        + New trip
+      </button>
+      {onShare && (
+        <button
+          onClick={onShare}
+          style={btn}
+          title="Copy a link that opens this exact trip"
+        >
+          Share link
+        </button>
+      )}
+      {active && (
+        <button
+          onClick={onDelete}
+          style={{ ...btn, color: "#b91c1c" }}
+          title="Delete this saved trip"
+        >
+          Delete
+        </button>
+      )}
+      <span
+        style={{ color: saveOk ? "#64748b" : "#b91c1c" }}
+        title={
+          active?.updatedAt
+            ? `Last saved ${new Date(active.updatedAt).toLocaleString()}`
+            : undefined
+        }
+      >
+        {shareStatus ||
+          (saveOk ? (active ? "Saved ✓" : "") : "Not saved (storage full?)")}
+      </span>
+    </div>
+  );
+}
+
+const btn = {
+  padding: "3px 8px",
+  borderRadius: 6,
+  border: "1px solid #e5e7eb",
+  background: "white",
+  cursor: "pointer",
+  fontSize: 12,
+};
@@ -0,0 +1,136 @@
+import React from "react";
+import {
+  AGE_BANDS,
+  DIVER_LEVELS,
+  ageBand,
+  newTraveller,
+  travellerLabel,
+} from "../lib/travellers.js";
+
+/**
+ * TravellerList
+ *
+ * Trip Basics editor for the people on the trip (see
+ * `src/lib/travellers.js`). Ages decide ferry fare bands, hotel beds and
+ * which activities each person can join; swimming, dive certification and
+ * mobility narrow the activities further. A blank age means an adult.
+ *
+ * Props:
+ * - travellers: [{ name, age, swimmer, diver, mobility }]
+ * - onChange(travellers)
+ */
+export default function TravellerList({ travellers = [], onChange }) {
+  const update = (i, fields) =>
+    onChange(travellers.map((t, k) => (k === i ? { ...t, ...fields } : t)));
+  const remove = (i) => onChange(travellers.filter((_, k) => k !== i));
+  const add = () => onChange([...travellers, newTraveller()]);
+
+  return (
+    <div style={{ display: "grid", gap: 6, marginBottom: 10 }}>
+      {travellers.map((t, i) => {
+        const band = AGE_BANDS.find((b) => b.id === ageBand(t.age));
+        return (
+          <div
+            key={i}
+            style={{
+              display: "flex",
+              flexWrap: "wrap",
+              alignItems: "center",
+              gap: 8,
+              padding: 8,
+              border: "1px solid #e5e7eb",
+              borderRadius: 8,
+              fontSize: 12,
+              color: "#475569",
+            }}
+          >
+            <input
+              value={t.name}
+              placeholder={travellerLabel(t, i)}
+              onChange={(e) => update(i, { name: e.target.value })}
+              aria-label={`Traveller ${i + 1} name`}
+              style={{ width: 120 }}
+            />
+            <input
+              type="number"
+              min={0}
+              max={120}
+              value={t.age ?? ""}
+              placeholder="Adult"
+              onChange={(e) =>
+                update(i, {
+                  age:
+                    e.target.value === ""
+                      ? null
+                      : Math.max(0, Math.floor(Number(e.target.value) || 0)),
+                })
+              }
+              aria-label={`Traveller ${i + 1} age`}
+              style={{ width: 64 }}
+            />
+            <span style={{ minWidth: 44, textTransform: "capitalize" }}>
+              {band.one}
+            </span>
+            <label>
+              <input
+                type="checkbox"
+                checked={t.swimmer}
+                onChange={() => update(i, { swimmer: !t.swimmer })}
+                style={{ marginRight: 4 }}
+              />
+              Swimmer
+            </label>
+            <select
+              value={t.diver}
+              onChange={(e) => update(i, { diver: e.target.value })}
+              aria-label={`Traveller ${i + 1} dive certification`}
+            >
+              {DIVER_LEVELS.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.id ? `Diver: ${l.label}` : "No dive certification"}
+                </option>
+              ))}
+            </select>
+            <select
+              value={t.mobility}
+              onChange={(e) => update(i, { mobility: e.target.value })}
+              aria-label={`Traveller ${i + 1} mobility`}
+            >
+              <option value="">No mobility limits</option>
+              <option value="limited">Limited mobility</option>
+              <option value="wheelchair">Wheelchair user</option>
+            </select>
+            {travellers.length > 1 && (
+              <button
+                onClick={() => remove(i)}
+                aria-label={`Remove ${travellerLabel(t, i)}`}
+                style={{
+                  marginLeft: "auto",
+                  border: "none",
+                  background: "transparent",
+                  color: "#b91c1c",
+                }}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        );
+      })}
+      <button
+        onClick={add}
+        style={{
+          justifySelf: "start",
+          padding: "4px 10px",
+          borderRadius: 999,
+          border: "1px solid #0ea5e9",
+          background: "white",
+          color: "#0ea5e9",
+          fontSize: 12,
+        }}
+      >
+        + Add traveller
+      </button>
+    </div>
+  );
+}
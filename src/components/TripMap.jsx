@@ -0,0 +1,237 @@
+import React, { useMemo, useState } from "react";
+import { boundsOf, hasCoords, makeProjection } from "../lib/geo.js";
+
+/**
+ * TripMap
+ *
+ * Offline trip map drawn as SVG from bundled island outlines
+ * (`/data/island_outlines.json`) — no tile server involved.
+ *
+ * Props:
+ * - locations: [{ id, name, island, coordinates: { lat, lng } }]   // plotted
+ * - dayByLocation: { [locId]: dayIndex }   // colours markers by day
+ * - legs: [{ from, to, mode }]              // ferry / road legs between islands
+ * - outlines: { outlines: [{ name, points: [[lat, lng], ...] }], ports: { [island]: { lat, lng } } }
+ * - onSelectLocation(loc)                   // marker click (opens the modal)
+ * - height
+ */
+
+const WIDTH = 600;
+
+export const DAY_COLORS = [
+  "#0ea5e9",
+  "#f97316",
+  "#16a34a",
+  "#a855f7",
+  "#e11d48",
+  "#ca8a04",
+  "#0d9488",
+  "#6366f1",
+  "#db2777",
+  "#65a30d",
+];
+
+export const dayColor = (dayIndex) =>
+  Number.isInteger(dayIndex) && dayIndex >= 0
+    ? DAY_COLORS[dayIndex % DAY_COLORS.length]
+    : "#94a3b8";
+
+export default function TripMap({
+  locations = [],
+  dayByLocation = {},
+  legs = [],
+  outlines,
+  onSelectLocation,
+  height = 320,
+}) {
+  const [fitTrip, setFitTrip] = useState(true);
+  const [hoverId, setHoverId] = useState(null);
+
+  const shapes = outlines?.outlines || [];
+  const ports = outlines?.ports || {};
+  const plotted = locations.filter((l) => hasCoords(l.coordinates));
+
+  const project = useMemo(() => {
+    const outlinePoints = shapes.flatMap((s) =>
+      (s.points || []).map(([lat, lng]) => ({ lat, lng }))
+    );
+    const tripPoints = [
+      ...plotted.map((l) => l.coordinates),
+      ...legs.flatMap((leg) => [ports[leg.from], ports[leg.to]]),
+    ];
+    const bounds =
+      (fitTrip && boundsOf(tripPoints, 0.12)) ||
+      boundsOf(outlinePoints, 0.05) ||
+      boundsOf(tripPoints, 0.12);
+    return bounds ? makeProjection(bounds, WIDTH, height) : null;
+  }, [shapes, plotted, legs, ports, fitTrip, height]);
+
+  if (!project) {
+    return (
+      <div style={{ fontSize: 12, color: "#64748b", marginBottom: 12 }}>
+        Map unavailable — no coordinates loaded.
+      </div>
+    );
+  }
+
+  const usedDays = Array.from(
+    new Set(plotted.map((l) => dayByLocation[l.id]).filter(Number.isInteger))
+  ).sort((a, b) => a - b);
+  const hovered = plotted.find((l) => l.id === hoverId);
+
+  return (
+    <div
+      style={{
+        border: "1px solid #e5e7eb",
+        borderRadius: 12,
+        background: "white",
+        padding: 8,
+        marginBottom: 12,
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center",
+          gap: 8,
+          flexWrap: "wrap",
+          fontSize: 12,
+          color: "#475569",
+          marginBottom: 6,
+        }}
+      >
+        <span>
+          {hovered
+            ? `${hovered.name} — ${hovered.island}`
+            : `${plotted.length} place(s) on the map`}
+        </span>
+        <button
+          type="button"
+          onClick={() => setFitTrip((v) => !v)}
+          style={{
+            border: "1px solid #e5e7eb",
+            background: "white",
+            borderRadius: 999,
+            padding: "3px 10px",
+            fontSize: 12,
+          }}
+        >
+          {fitTrip ? "Show all islands" : "Zoom to trip"}
+        </button>
+      </div>
+
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        style={{
+          width: "100%",
+          height: "auto",
+          display: "block",
+          background: "#e0f2fe",
+          borderRadius: 8,
+        }}
+        role="img"
+        aria-label="Trip map"
+      >
+        {shapes.map((s) => (
+          <polygon
+            key={s.name}
+            points={(s.points || [])
+              .map(([lat, lng]) => {
+                const p = project({ lat, lng });
+                return `${p.x.toFixed(1)},${p.y.toFixed(1)}`;
+              })
+              .join(" ")}
+            fill="#f1f5f9"
+            stroke="#94a3b8"
+            strokeWidth={1}
+          >
+            <title>{s.name}</title>
+          </polygon>
+        ))}
+
+        {legs.map((leg, i) => {
+          const a = ports[leg.from];
+          const b = ports[leg.to];
+          if (!hasCoords(a) || !hasCoords(b)) return null;
+          const pa = project(a);
+          const pb = project(b);
+          return (
+            <line
+              key={`${leg.from}-${leg.to}-${i}`}
+              x1={pa.x}
+              y1={pa.y}
+              x2={pb.x}
+              y2={pb.y}
+              stroke={leg.mode === "road" ? "#78716c" : "#0369a1"}
+              strokeWidth={2}
+              strokeDasharray={leg.mode === "road" ? "2 3" : "6 4"}
+            >
+              <title>
+                {leg.mode === "road" ? "Road" : "Ferry"}: {leg.from} → {leg.to}
+              </title>
+            </line>
+          );
+        })}
+
+        {plotted.map((l) => {
+          const p = project(l.coordinates);
+          const day = dayByLocation[l.id];
+          const planned = Number.isInteger(day);
+          return (
+            <g
+              key={l.id}
+              onClick={() => onSelectLocation && onSelectLocation(l)}
+              onMouseEnter={() => setHoverId(l.id)}
+              onMouseLeave={() => setHoverId(null)}
+              style={{ cursor: onSelectLocation ? "pointer" : "default" }}
+            >
+              <circle
+                cx={p.x}
+                cy={p.y}
+                r={planned ? 6 : 4}
+                fill={planned ? dayColor(day) : "white"}
+                stroke={planned ? "white" : "#64748b"}
+                strokeWidth={1.5}
+              />
+              <title>
+                {l.name}
+                {planned ? ` — Day ${day + 1}` : ""}
+              </title>
+            </g>
+          );
+        })}
+      </svg>
+
+      {usedDays.length > 0 && (
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            gap: 8,
+            marginTop: 6,
+            fontSize: 11,
+            color: "#334155",
+          }}
+        >
+          {usedDays.map((d) => (
+            <span
+              key={d}
+              style={{ display: "inline-flex", alignItems: "center", gap: 4 }}
+            >
+              <span
+                style={{
+                  width: 10,
+                  height: 10,
+                  borderRadius: 999,
+                  background: dayColor(d),
+                }}
+              />
+              Day {d + 1}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+/* -----------------------------------
+   Data links (locations ↔ adventures)
+------------------------------------ */
+
+// location_adventures.json was written against older ids: snake_case
+// adventure keys ("snorkeling_guided") and location codes that have since
+// been renamed ("DP002" → "DG002"). References are resolved by exact id,
+// then by an `aliases` entry on the record, then by slug, so both old and
+// new ids work. Whatever still doesn't resolve is reported, never guessed.
+
+export const slugify = (s) =>
+  String(s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Lookup over records with `id`, optional `slug` and `aliases`.
+ * Returns { resolve(ref) → record | null, conflicts: [{ key, ids }] }.
+ */
+export function buildIndex(records) {
+  const byId = new Map();
+  const byAlias = new Map();
+  const bySlug = new Map();
+  const conflicts = [];
+
+  const claim = (map, key, rec) => {
+    if (!key) return;
+    const prev = map.get(key);
+    if (prev && prev !== rec) {
+      conflicts.push({ key, ids: [prev.id, rec.id] });
+      return; // first record keeps the key
+    }
+    map.set(key, rec);
+  };
+
+  (records || []).forEach((rec) => {
+    if (!rec?.id) return;
+    claim(byId, rec.id, rec);
+    (rec.aliases || []).forEach((a) => claim(byAlias, a, rec));
+    claim(bySlug, rec.slug || slugify(rec.name), rec);
+  });
+
+  const resolve = (ref) =>
+    ref == null
+      ? null
+      : byId.get(ref) || byAlias.get(ref) || bySlug.get(slugify(ref)) || null;
+
+  return { resolve, conflicts };
+}
+
+/**
+ * Resolve every row of location_adventures.json.
+ *
+ * Returns {
+ *   adventuresFor(locationId) → [activity]   // linked, no duplicates
+ *   resolveLocation(ref), resolveActivity(ref)
+ *   report: { unresolvedLocations: [ref],
+ *             unresolvedActivities: [{ ref, location }],
+ *             conflicts: [{ key, ids }] }
+ * }
+ */
+export function linkData({ locations, activities, locationAdventures }) {
+  const locIndex = buildIndex(locations);
+  const actIndex = buildIndex(activities);
+  const byLocation = new Map();
+  const unresolvedLocations = [];
+  const unresolvedActivities = [];
+
+  (locationAdventures || []).forEach((row) => {
+    const locRef = row.locationId || row.location_id; // both spellings exist
+    const advRefs = row.adventureIds || row.adventure_ids || [];
+    const loc = locIndex.resolve(locRef);
+    if (!loc) {
+      unresolvedLocations.push(locRef);
+      return;
+    }
+    const list = byLocation.get(loc.id) || [];
+    advRefs.forEach((ref) => {
+      const act = actIndex.resolve(ref);
+      if (!act) unresolvedActivities.push({ ref, location: loc.id });
+      else if (!list.includes(act)) list.push(act);
+    });
+    byLocation.set(loc.id, list);
+  });
+
+  return {
+    adventuresFor: (locationId) => byLocation.get(locationId) || [],
+    resolveLocation: locIndex.resolve,
+    resolveActivity: actIndex.resolve,
+    report: {
+      unresolvedLocations,
+      unresolvedActivities,
+      conflicts: [...locIndex.conflicts, ...actIndex.conflicts],
+    },
+  };
+}
+
+// One line per problem, for the console
+export function formatLinkReport(report) {
+  const lines = [];
+  if (report.unresolvedLocations.length) {
+    lines.push(
+      `Unknown locations in location_adventures.json: ${report.unresolvedLocations.join(
+        ", "
+      )}`
+    );
+  }
+  report.unresolvedActivities.forEach(({ ref, location }) =>
+    lines.push(`Unknown adventure "${ref}" linked from ${location}`)
+  );
+  report.conflicts.forEach(({ key, ids }) =>
+    lines.push(`"${key}" matches both ${ids.join(" and ")}`)
+  );
+  return lines;
+}
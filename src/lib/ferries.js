@@ -0,0 +1,188 @@
+/* -----------------------------------
+   Ferry timetable engine
+------------------------------------ */
+
+// `public/data/ferries.json` is a list of one-way routes. Each route carries
+// its sailings: operator, vessel, departure/arrival ("HH:MM") and the days of
+// operation ("daily" or ["Mon", "Wed", ...]). Overnight sailings simply have
+// an arrival time earlier than their departure. Road routes (the ATR via
+// Baratang) use the same shape with `mode: "road"`: their "sailings" are the
+// convoy / bus departures.
+
+// Minimum time between arriving on one leg and departing on the next
+export const TRANSFER_BUFFER_MIN = 45;
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export const toMinutes = (hhmm) => {
+  const m = String(hhmm || "").match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) return null;
+  return parseInt(m[1], 10) * 60 + parseInt(m[2], 10);
+};
+
+export const fromMinutes = (mins) => {
+  const m = ((Math.round(mins) % 1440) + 1440) % 1440;
+  const hh = String(Math.floor(m / 60)).padStart(2, "0");
+  const mm = String(m % 60).padStart(2, "0");
+  return `${hh}:${mm}`;
+};
+
+// "2025-01-14" → "Tue" (dates are treated as calendar days, not instants)
+export function weekdayOf(yyyy_mm_dd) {
+  if (!yyyy_mm_dd) return null;
+  const d = new Date(`${yyyy_mm_dd}T00:00:00Z`);
+  if (isNaN(d.getTime())) return null;
+  return WEEKDAYS[d.getUTCDay()];
+}
+
+function normalizeDays(days) {
+  if (!days || days === "daily") return [...WEEKDAYS];
+  const list = Array.isArray(days) ? days : [days];
+  return list
+    .map((d) => String(d).slice(0, 3))
+    .map((d) => d.charAt(0).toUpperCase() + d.slice(1).toLowerCase())
+    .filter((d) => WEEKDAYS.includes(d));
+}
+
+// Flatten routes → sailings, skipping anything malformed
+export function buildTimetable(routes) {
+  const list = Array.isArray(routes) ? routes : [];
+  const sailings = [];
+
+  list.forEach((route) => {
+    if (!route || !route.from || !route.to) return;
+    (route.sailings || []).forEach((s, idx) => {
+      const dep = toMinutes(s.depart);
+      const arr = toMinutes(s.arrive);
+      if (dep == null || arr == null) return;
+      const durationMin = arr >= dep ? arr - dep : arr + 1440 - dep;
+      sailings.push({
+        id: `${route.id}#${idx}`,
+        routeId: route.id,
+        mode: route.mode || "ferry",
+        from: route.from,
+        to: route.to,
+        operator: s.operator || "Ferry",
+        vessel: s.vessel || "",
+        depart: s.depart,
+        arrive: s.arrive,
+        durationMin,
+        overnight: arr < dep,
+        days: normalizeDays(s.days),
+        classes: s.classes || route.classes || [],
+      });
+    });
+  });
+
+  sailings.sort((a, b) => toMinutes(a.depart) - toMinutes(b.depart));
+  return { routes: list, sailings };
+}
+
+export function hasDirectRoute(timetable, from, to) {
+  return (timetable?.sailings || []).some(
+    (s) => s.from === from && s.to === to
+  );
+}
+
+// All sailings A → B on a date (or on any day when no date is known),
+// earliest departure first
+export function findSailings(timetable, from, to, date) {
+  const weekday = weekdayOf(date);
+  return (timetable?.sailings || []).filter(
+    (s) =>
+      s.from === from &&
+      s.to === to &&
+      (!weekday || s.days.includes(weekday))
+  );
+}
+
+// Which days of the week does any A → B sailing run?
+export function operatingDays(timetable, from, to) {
+  const set = new Set();
+  (timetable?.sailings || [])
+    .filter((s) => s.from === from && s.to === to)
+    .forEach((s) => s.days.forEach((d) => set.add(d)));
+  return WEEKDAYS.filter((d) => set.has(d));
+}
+
+export const isTransitItem = (it) =>
+  it?.type === "ferry" || it?.type === "road";
+
+// Attach the actual sailing to every ferry / road leg in `days`.
+// Returns a new array; items without a sailing carry `sailingIssue` and
+// its `sailingIssueKind`: "route" (no direct service at all), "day" (none
+// on that weekday) or "connection" (none after the previous leg).
+// Legs on the same day must connect: a later leg never departs before the
+// previous one has arrived.
+export function assignFerrySailings(days, timetable, startDate) {
+  return days.map((day, i) => {
+    if (!day.items.some(isTransitItem)) return day;
+    const date = startDate ? addCalendarDays(startDate, i) : null;
+    let readyAt = 0;
+
+    return {
+      ...day,
+      items: day.items.map((it) => {
+        if (!isTransitItem(it) || !it.from || !it.to) return it;
+
+        if (!hasDirectRoute(timetable, it.from, it.to)) {
+          return {
+            ...it,
+            sailing: null,
+            sailingIssueKind: "route",
+            sailingIssue: `No direct ${
+              it.type === "road" ? "road service" : "ferry"
+            } ${it.from} → ${it.to}`,
+          };
+        }
+
+        const options = findSailings(timetable, it.from, it.to, date);
+        if (!options.length) {
+          const runs = operatingDays(timetable, it.from, it.to);
+          return {
+            ...it,
+            sailing: null,
+            sailingIssueKind: "day",
+            sailingIssue: `No sailing on ${weekdayOf(date)} (runs ${runs.join(
+              ", "
+            )})`,
+          };
+        }
+
+        const connecting = options.filter(
+          (s) => toMinutes(s.depart) >= readyAt
+        );
+        if (!connecting.length) {
+          return {
+            ...it,
+            sailing: null,
+            sailingIssueKind: "connection",
+            sailingIssue:
+              readyAt >= 1440
+                ? "Previous leg arrives overnight; continue the next day"
+                : `No connecting departure after ${fromMinutes(readyAt)}`,
+          };
+        }
+
+        const [sailing, ...alternatives] = connecting;
+        readyAt = sailing.overnight
+          ? 1440
+          : toMinutes(sailing.arrive) + TRANSFER_BUFFER_MIN;
+        return {
+          ...it,
+          sailing,
+          alternatives,
+          sailingIssue: null,
+          sailingIssueKind: null,
+        };
+      }),
+    };
+  });
+}
+
+function addCalendarDays(yyyy_mm_dd, n) {
+  const d = new Date(`${yyyy_mm_dd}T00:00:00Z`);
+  if (isNaN(d.getTime())) return null;
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
@@ -0,0 +1,51 @@
+/* -----------------------------------
+   Geo helpers (coordinates, projection)
+------------------------------------ */
+
+// Locations carry `coordinates: { lat, lng }`; outlines/ports in
+// `public/data/island_outlines.json` use the same shape (points as [lat, lng]).
+
+export const hasCoords = (c) =>
+  !!c && Number.isFinite(c.lat) && Number.isFinite(c.lng);
+
+// Great-circle distance in km
+export function haversineKm(a, b) {
+  if (!hasCoords(a) || !hasCoords(b)) return null;
+  const R = 6371;
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+export function boundsOf(points, padDeg = 0.05) {
+  const list = points.filter(hasCoords);
+  if (!list.length) return null;
+  const lats = list.map((p) => p.lat);
+  const lngs = list.map((p) => p.lng);
+  return {
+    minLat: Math.min(...lats) - padDeg,
+    maxLat: Math.max(...lats) + padDeg,
+    minLng: Math.min(...lngs) - padDeg,
+    maxLng: Math.max(...lngs) + padDeg,
+  };
+}
+
+// Equirectangular projection into a width × height box, keeping the aspect
+// ratio (longitude shrinks with cos(lat) this close to the equator, barely).
+export function makeProjection(bounds, width, height) {
+  const midLat = ((bounds.minLat + bounds.maxLat) / 2) * (Math.PI / 180);
+  const spanX = (bounds.maxLng - bounds.minLng) * Math.cos(midLat);
+  const spanY = bounds.maxLat - bounds.minLat;
+  const scale = Math.min(width / spanX, height / spanY);
+  const offX = (width - spanX * scale) / 2;
+  const offY = (height - spanY * scale) / 2;
+
+  return ({ lat, lng }) => ({
+    x: offX + (lng - bounds.minLng) * Math.cos(midLat) * scale,
+    y: offY + (bounds.maxLat - lat) * scale,
+  });
+}
@@ -0,0 +1,111 @@
+/* -----------------------------------
+   Undo / redo history
+------------------------------------ */
+
+// A linear history of planning snapshots (the trip doc minus UI state such
+// as the current step): { past: [entry], present: entry, future: [entry] }.
+// Each entry is { snapshot, json, label, at, keys } where `keys` are the
+// top-level fields that changed to produce it.
+
+export const MAX_HISTORY = 100;
+
+// Changes this close together with the same label (typing in a field) or
+// that only rebuild the days right after a selection change are one step
+export const COALESCE_MS = 1000;
+
+const FOLLOW_UP_KEYS = ["days", "daysEdited"];
+
+const makeEntry = (snapshot, label, at, keys) => ({
+  snapshot,
+  json: JSON.stringify(snapshot),
+  label,
+  at,
+  keys,
+});
+
+export const createHistory = (snapshot, now = Date.now()) => ({
+  past: [],
+  present: makeEntry(snapshot, "Start", now, []),
+  future: [],
+});
+
+export function changedKeys(a, b) {
+  return Object.keys({ ...a, ...b }).filter(
+    (k) => JSON.stringify(a?.[k]) !== JSON.stringify(b?.[k])
+  );
+}
+
+/**
+ * Add `snapshot` as a new step (dropping any redo steps), or fold it into
+ * the current one when it continues the same action.
+ *
+ * opts: { now, describe(prev, next, keys) → label }
+ */
+export function recordChange(h, snapshot, opts = {}) {
+  const { now = Date.now(), describe } = opts;
+  const json = JSON.stringify(snapshot);
+  if (json === h.present.json) return h;
+
+  const keys = changedKeys(h.present.snapshot, snapshot);
+  const label = describe
+    ? describe(h.present.snapshot, snapshot, keys)
+    : "Edit";
+  const recent = h.past.length > 0 && now - h.present.at < COALESCE_MS;
+  const followUp =
+    keys.every((k) => FOLLOW_UP_KEYS.includes(k)) &&
+    !h.present.keys.every((k) => FOLLOW_UP_KEYS.includes(k));
+
+  if (recent && (label === h.present.label || followUp)) {
+    return { ...h, present: { ...h.present, snapshot, json, at: now } };
+  }
+  return {
+    past: [...h.past, h.present].slice(-MAX_HISTORY),
+    present: makeEntry(snapshot, label, now, keys),
+    future: [],
+  };
+}
+
+// Swap the present snapshot without adding a step (changes the user didn't
+// make, e.g. the itinerary being built once the data has loaded)
+export const rebaseHistory = (h, snapshot) => ({
+  ...h,
+  present: { ...h.present, snapshot, json: JSON.stringify(snapshot) },
+});
+
+export const canUndo = (h) => !!h && h.past.length > 0;
+export const canRedo = (h) => !!h && h.future.length > 0;
+
+export function undo(h) {
+  if (!canUndo(h)) return h;
+  return {
+    past: h.past.slice(0, -1),
+    present: h.past[h.past.length - 1],
+    future: [h.present, ...h.future],
+  };
+}
+
+export function redo(h) {
+  if (!canRedo(h)) return h;
+  return {
+    past: [...h.past, h.present],
+    present: h.future[0],
+    future: h.future.slice(1),
+  };
+}
+
+// Every step oldest → newest, and which one is current
+export const historyEntries = (h) => ({
+  entries: [...h.past, h.present, ...h.future],
+  current: h.past.length,
+});
+
+// Jump straight to step `index` of historyEntries()
+export function jumpTo(h, index) {
+  const { entries, current } = historyEntries(h);
+  if (index < 0 || index >= entries.length || index === current) return h;
+  return {
+    past: entries.slice(0, index),
+    present: entries[index],
+    future: entries.slice(index + 1),
+  };
+}
@@ -0,0 +1,319 @@
+/* -----------------------------------
+   Hotel catalogue (public/data/hotels.json)
+------------------------------------ */
+
+// Each hotel lists its room types; a room type has occupancy limits
+// (maxAdults / maxChildren / maxOccupancy), how many it `sleeps` at the
+// room rate, an extra-bed price and a rate table by season ("Oct-Mar", see
+// seasons.js). Meal plans carry a per-person, per-night supplement (0 =
+// included in the room rate).
+
+import { haversineKm, hasCoords } from "./geo.js";
+import { islandsForCodes, normalizeIslandName } from "./islands.js";
+import { holidayOn, priceOn } from "./rateCalendar.js";
+import { inSeason } from "./seasons.js";
+import { ageBand } from "./travellers.js";
+
+export const HOTEL_TIERS = ["Value", "Mid", "Premium"];
+
+// `island` may be a code ("HL") or a name; either way → canonical name
+export function normalizeHotels(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .filter((h) => h?.id && Array.isArray(h.roomTypes) && h.roomTypes.length)
+    .map((h) => ({
+      ...h,
+      island: islandsForCodes([h.island])[0] || normalizeIslandName(h.island),
+      rating: Number(h.rating) || null,
+      images: Array.isArray(h.images) ? h.images : [],
+      amenities: Array.isArray(h.amenities) ? h.amenities : [],
+      mealPlans: Array.isArray(h.mealPlans) ? h.mealPlans : [],
+    }));
+}
+
+export function hotelsByIsland(hotels) {
+  const out = {};
+  hotels.forEach((h) => {
+    (out[h.island] = out[h.island] || []).push(h);
+  });
+  return out;
+}
+
+// A room's rate on a night ("YYYY-MM-DD"); without a date, the peak
+// (highest) rate so totals never come out low
+export function roomRate(room, date) {
+  const rates = room.rates || [];
+  const match = date && rates.find((r) => inSeason(r.season, date));
+  if (match) return match.INR;
+  return Math.max(0, ...rates.map((r) => r.INR));
+}
+
+// "Standard Double (2 adults + 1 child, max 3)"
+export const roomTypeLabel = (room) =>
+  `${room.name} (${room.maxAdults} adult(s)` +
+  (room.maxChildren ? ` + ${room.maxChildren} child(ren)` : "") +
+  `, max ${room.maxOccupancy})`;
+
+// Cheapest nightly rate across room types and seasons
+export const fromPrice = (hotel) =>
+  Math.min(
+    ...hotel.roomTypes.flatMap((room) => (room.rates || []).map((r) => r.INR))
+  );
+
+/* -----------------------------------
+   Room allocation
+------------------------------------ */
+
+// Children this young share a parent's bed and don't count towards a
+// room's occupancy, unless the hotel sets its own `sharesBedUnder`
+export const SHARES_BED_UNDER = 5;
+
+const roomSleeps = (room) =>
+  Math.min(Number(room.sleeps) || 2, room.maxOccupancy);
+
+/**
+ * Who needs a bed at this hotel: { adults, children, sharing }. Children
+ * are the under-12s (see travellers.js age bands); those under the
+ * hotel's bed-sharing age are only counted in `sharing`.
+ */
+export function roomParty(hotel, travellers) {
+  const sharesUnder = hotel.sharesBedUnder ?? SHARES_BED_UNDER;
+  const party = { adults: 0, children: 0, sharing: 0 };
+  travellers.forEach((t) => {
+    if (t.age != null && t.age < sharesUnder) party.sharing += 1;
+    else if (ageBand(t.age) === "adult" || ageBand(t.age) === "senior") {
+      party.adults += 1;
+    } else party.children += 1;
+  });
+  return party;
+}
+
+// Can the party sleep in these rooms ([{ room, count }])? Every room needs
+// an adult (when there is one); past that, adults, children and heads are
+// each capped by the rooms' limits.
+function roomsFit(rooms, { adults, children }) {
+  const total = rooms.reduce((n, r) => n + r.count, 0);
+  if (!total) return adults + children === 0;
+  const lead = adults ? 1 : 0;
+  if (adults < lead * total) return false;
+  let maxAdults = 0;
+  let maxChildren = 0;
+  let maxHeads = 0;
+  rooms.forEach(({ room, count }) => {
+    const heads = room.maxOccupancy - lead;
+    const a = Math.min(heads, room.maxAdults - lead);
+    const c = Math.min(heads, room.maxChildren || 0);
+    maxAdults += a * count;
+    maxChildren += c * count;
+    maxHeads += Math.min(heads, a + c) * count;
+  });
+  const rest = adults - lead * total;
+  return (
+    rest <= maxAdults && children <= maxChildren && rest + children <= maxHeads
+  );
+}
+
+// Guests past what the rooms sleep get extra beds, cheapest rooms first.
+// Returns the rooms with `extraBeds` and how many guests are left over.
+function placeExtraBeds(rooms, guests) {
+  let extra =
+    guests - rooms.reduce((n, r) => n + roomSleeps(r.room) * r.count, 0);
+  const byPrice = [...rooms].sort(
+    (a, b) => (a.room.extraBedINR || 0) - (b.room.extraBedINR || 0)
+  );
+  const beds = new Map();
+  byPrice.forEach((r) => {
+    const n = Math.max(
+      0,
+      Math.min(extra, (r.room.maxOccupancy - roomSleeps(r.room)) * r.count)
+    );
+    beds.set(r, n);
+    extra -= n;
+  });
+  return {
+    rooms: rooms.map((r) => ({ ...r, extraBeds: beds.get(r) })),
+    unplaced: Math.max(0, extra),
+  };
+}
+
+function buildAllocation(hotel, counts, party) {
+  const rooms = hotel.roomTypes
+    .map((room) => ({
+      room,
+      count: Math.max(0, Math.floor(Number(counts[room.id]) || 0)),
+    }))
+    .filter((r) => r.count);
+  const placed = placeExtraBeds(rooms, party.adults + party.children);
+  return {
+    rooms: placed.rooms,
+    party,
+    fits: !placed.unplaced && roomsFit(rooms, party),
+  };
+}
+
+// Every way of taking up to `max` rooms from the room types:
+// [{ roomTypeId: count }] — C(max + types, types) of them, so keep `max`
+// down (see allocateRooms)
+function roomMixes(types, max) {
+  if (!types.length) return [{}];
+  const [first, ...rest] = types;
+  const out = [];
+  for (let n = 0; n <= max; n++) {
+    roomMixes(rest, max - n).forEach((mix) =>
+      out.push({ ...mix, [first.id]: n })
+    );
+  }
+  return out;
+}
+
+export const roomCount = (alloc) =>
+  alloc.rooms.reduce((n, r) => n + r.count, 0);
+
+// One night in the allocated rooms: rooms × rate plus the extra beds,
+// through the rate calendar. Holidays are blackout dates, charged at the
+// top of the hotel's own rate table.
+export function allocationCost(alloc, date, holidays) {
+  const tableDate = holidayOn(date, holidays) ? null : date;
+  const base = alloc.rooms.reduce(
+    (sum, r) =>
+      sum +
+      roomRate(r.room, tableDate) * r.count +
+      (Number(r.room.extraBedINR) || 0) * r.extraBeds,
+    0
+  );
+  return priceOn("hotel", base, date, holidays);
+}
+
+/**
+ * Rooms for the party at a hotel: the cheapest mix of its room types
+ * (priced on `date`, else at peak rates) that sleeps everyone — fewer
+ * rooms on a tie — or, when the user picked rooms themselves, `counts`
+ * ({ roomTypeId: n }) as given. `holidays` is the rate calendar.
+ *
+ * Returns { rooms: [{ room, count, extraBeds }], party, fits, custom };
+ * `fits` is false when the rooms can't take the party.
+ */
+export function allocateRooms(
+  hotel,
+  travellers,
+  { date = null, counts, holidays } = {}
+) {
+  const party = roomParty(hotel, travellers);
+  if (counts) return { ...buildAllocation(hotel, counts, party), custom: true };
+  const max = Math.max(1, party.adults || party.children);
+  const cheapest = (limit) => {
+    let best = null;
+    roomMixes(hotel.roomTypes, limit).forEach((mix) => {
+      const alloc = buildAllocation(hotel, mix, party);
+      if (!alloc.fits || !alloc.rooms.length) return;
+      const cost = allocationCost(alloc, date, holidays);
+      if (
+        !best ||
+        cost < best.cost ||
+        (cost === best.cost && roomCount(alloc) < roomCount(best.alloc))
+      ) {
+        best = { alloc, cost };
+      }
+    });
+    return best;
+  };
+  // Every room needs an adult, so there are never more rooms than adults.
+  // Enough rooms of the smallest type to sleep everyone is usually the
+  // most worth trying — past that a room is spare and only adds cost —
+  // so look there first and only widen when occupancy limits rule every
+  // such mix out.
+  const minSleeps = Math.min(...hotel.roomTypes.map(roomSleeps));
+  const enough = Math.max(
+    1,
+    Math.ceil((party.adults + party.children) / minSleeps)
+  );
+  const best =
+    cheapest(Math.min(max, enough)) || (enough < max ? cheapest(max) : null);
+  // Nothing fits: a room per adult of the first type, flagged
+  const alloc =
+    best?.alloc ||
+    buildAllocation(hotel, { [hotel.roomTypes[0].id]: max }, party);
+  return { ...alloc, custom: false };
+}
+
+// "2 × Standard Double (+1 extra bed), 1 × Family Room"
+export const allocationLabel = (alloc) =>
+  alloc.rooms
+    .map(
+      (r) =>
+        `${r.count} × ${r.room.name}` +
+        (r.extraBeds
+          ? ` (+${r.extraBeds} extra bed${r.extraBeds === 1 ? "" : "s"})`
+          : "")
+    )
+    .join(", ");
+
+// Room counts of an allocation: { roomTypeId: n }
+export const allocationCounts = (alloc) =>
+  Object.fromEntries(alloc.rooms.map((r) => [r.room.id, r.count]));
+
+// A stay in the allocated rooms, one entry per night (its date, or null
+// when the trip has no start date): { total, perNight, byNight } with
+// byNight = [{ date, amount }]
+export function stayCost(alloc, nights, holidays) {
+  if (!nights.length) {
+    return { total: 0, perNight: allocationCost(alloc, null), byNight: [] };
+  }
+  const byNight = nights.map((date) => ({
+    date,
+    amount: allocationCost(alloc, date, holidays),
+  }));
+  const total = byNight.reduce((sum, n) => sum + n.amount, 0);
+  return { total, perNight: total / nights.length, byNight };
+}
+
+// Mean straight-line km from the hotel to some sights ({ coordinates }),
+// or null when either side has no coordinates
+export function distanceToSights(hotel, sights) {
+  const points = sights.map((s) => s.coordinates).filter(hasCoords);
+  if (!hasCoords(hotel.coordinates) || !points.length) return null;
+  const km = points.reduce(
+    (sum, p) => sum + haversineKm(hotel.coordinates, p),
+    0
+  );
+  return km / points.length;
+}
+
+/* -----------------------------------
+   Filtering & sorting (step 4)
+------------------------------------ */
+
+export const HOTEL_SORTS = {
+  price: "Price (low to high)",
+  rating: "Rating (best first)",
+  distance: "Distance to your sights",
+  tier: "Tier (Value → Premium)",
+};
+
+/**
+ * rows: [{ hotel, perNight, km }]
+ * filters: { tier: "All" | tier, maxPrice (per night, 0 = any),
+ *            minRating (0 = any), sort: key of HOTEL_SORTS }
+ */
+export function filterAndSortHotels(rows, filters) {
+  const {
+    tier = "All",
+    maxPrice = 0,
+    minRating = 0,
+    sort = "price",
+  } = filters || {};
+  const tierRank = (h) => HOTEL_TIERS.indexOf(h.tier);
+  const compare = {
+    price: (a, b) => a.perNight - b.perNight,
+    rating: (a, b) => (b.hotel.rating ?? 0) - (a.hotel.rating ?? 0),
+    distance: (a, b) => (a.km ?? Infinity) - (b.km ?? Infinity),
+    tier: (a, b) => tierRank(a.hotel) - tierRank(b.hotel),
+  }[sort];
+  return rows
+    .filter(
+      ({ hotel, perNight }) =>
+        (tier === "All" || hotel.tier === tier) &&
+        (!maxPrice || perNight <= maxPrice) &&
+        (!minRating || (hotel.rating ?? 0) >= minRating)
+    )
+    .sort((a, b) => compare(a, b) || a.perNight - b.perNight);
+}
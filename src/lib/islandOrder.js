@@ -0,0 +1,161 @@
+/* -----------------------------------
+   Island visiting order optimiser
+------------------------------------ */
+
+import { findConnection } from "./routes.js";
+
+// Same weighting the router uses: one extra leg ≈ 90 minutes of travel
+const LEG_WEIGHT_MIN = 90;
+// Islands the graph can't connect still need an order; price them as a day
+const UNREACHABLE_MIN = 24 * 60;
+// Above this many islands, the exact search gives way to a greedy pass
+const MAX_EXACT = 12;
+
+function buildMatrix(nodes, graph) {
+  const m = {};
+  nodes.forEach((a) => {
+    m[a] = {};
+    nodes.forEach((b) => {
+      if (a === b) {
+        m[a][b] = { durationMin: 0, legs: 0 };
+        return;
+      }
+      const conn = findConnection(graph, a, b);
+      m[a][b] = conn
+        ? { durationMin: conn.durationMin, legs: conn.legs.length }
+        : { durationMin: UNREACHABLE_MIN, legs: 1 };
+    });
+  });
+  return m;
+}
+
+// What one hop counts for when comparing orders
+const hopScore = (c) => c.durationMin + c.legs * LEG_WEIGHT_MIN;
+
+// Home → order… → home, as total minutes and number of legs
+function tourCost(order, home, matrix) {
+  let durationMin = 0;
+  let legs = 0;
+  let at = home;
+  [...order, home].forEach((isl) => {
+    const c = matrix[at][isl];
+    durationMin += c.durationMin;
+    legs += c.legs;
+    at = isl;
+  });
+  return { durationMin, legs, score: durationMin + legs * LEG_WEIGHT_MIN };
+}
+
+// The cheapest way through every island of `middle` from `start` to
+// `finish`, by Held–Karp rather than trying all n! orders: rest[set][j]
+// is the cheapest way from middle[j] through the islands in `set` to
+// `finish`. On a tie the order earliest in `middle` wins, as it did when
+// every order was tried in turn.
+function exactOrder(middle, start, finish, matrix) {
+  const n = middle.length;
+  const hop = (a, b) => hopScore(matrix[a][b]);
+  const rest = Array.from({ length: 1 << n }, () => new Array(n));
+  for (let set = 1; set < 1 << n; set++) {
+    for (let j = 0; j < n; j++) {
+      if (!(set & (1 << j))) continue;
+      const others = set & ~(1 << j);
+      if (!others) {
+        rest[set][j] = hop(middle[j], finish);
+        continue;
+      }
+      let score = Infinity;
+      for (let k = 0; k < n; k++) {
+        if (!(others & (1 << k))) continue;
+        score = Math.min(score, hop(middle[j], middle[k]) + rest[others][k]);
+      }
+      rest[set][j] = score;
+    }
+  }
+
+  const out = [];
+  let at = start;
+  for (let set = (1 << n) - 1; set; ) {
+    let next = -1;
+    let score = Infinity;
+    for (let j = 0; j < n; j++) {
+      if (!(set & (1 << j))) continue;
+      const s = hop(at, middle[j]) + rest[set][j];
+      if (s < score) {
+        next = j;
+        score = s;
+      }
+    }
+    out.push(middle[next]);
+    at = middle[next];
+    set &= ~(1 << next);
+  }
+  return out;
+}
+
+function greedyOrder(middle, start, matrix) {
+  const left = [...middle];
+  const out = [];
+  let at = start;
+  while (left.length) {
+    left.sort(
+      (a, b) => matrix[at][a].durationMin - matrix[at][b].durationMin
+    );
+    at = left.shift();
+    out.push(at);
+  }
+  return out;
+}
+
+/**
+ * Pick the island sequence with the least travel (time first, then legs).
+ *
+ * The trip always starts and ends at `home` (Port Blair / IXZ).
+ * - `homeFirst`: visit `home`'s own sights before leaving it
+ * - `endIsland`: the last island before flying out (wins over `homeFirst`
+ *   when both point at `home`)
+ * - `naiveOrder`: the order we'd use without optimising, for comparison;
+ *   it's held to the same first / last island. `savedMin` / `savedLegs`
+ *   are negative where the chosen order costs more than it.
+ */
+export function optimiseIslandOrder(islands, graph, opts = {}) {
+  const { home, homeFirst = true, endIsland, naiveOrder } = opts;
+  const unique = Array.from(new Set(islands));
+  const matrix = buildMatrix(Array.from(new Set([home, ...unique])), graph);
+
+  const last = endIsland && unique.includes(endIsland) ? endIsland : null;
+  const first =
+    homeFirst && unique.includes(home) && last !== home ? home : null;
+  const middle = unique.filter((i) => i !== first && i !== last);
+  const wrap = (mid) => [
+    ...(first ? [first] : []),
+    ...mid,
+    ...(last ? [last] : []),
+  ];
+
+  const start = first || home;
+  const order = wrap(
+    middle.length <= MAX_EXACT
+      ? exactOrder(middle, start, last || home, matrix)
+      : greedyOrder(middle, start, matrix)
+  );
+  const best = { order, cost: tourCost(order, home, matrix) };
+
+  const naiveWrapped =
+    naiveOrder && wrap(naiveOrder.filter((i) => i !== first && i !== last));
+  const naive = naiveWrapped
+    ? { order: naiveWrapped, cost: tourCost(naiveWrapped, home, matrix) }
+    : null;
+
+  return {
+    order: best.order,
+    durationMin: best.cost.durationMin,
+    legs: best.cost.legs,
+    naive: naive && {
+      order: naive.order,
+      durationMin: naive.cost.durationMin,
+      legs: naive.cost.legs,
+    },
+    savedMin: naive ? naive.cost.durationMin - best.cost.durationMin : 0,
+    savedLegs: naive ? naive.cost.legs - best.cost.legs : 0,
+  };
+}
@@ -0,0 +1,66 @@
+/* -----------------------------------
+   Island registry
+------------------------------------ */
+
+// One entry per island the planner knows, in the default visiting order.
+// `name` is the canonical name used everywhere (itinerary days, ferry
+// routes, map ports); `code` is the short form the activity data uses in
+// `operatedIn`; `match` recognises the spellings found in locations.json.
+export const ISLANDS = [
+  {
+    code: "PB",
+    name: "Port Blair (South Andaman)",
+    match: /^port blair|south andaman/i,
+  },
+  { code: "HL", name: "Havelock (Swaraj Dweep)", match: /havelock|swaraj/i },
+  { code: "NL", name: "Neil (Shaheed Dweep)", match: /neil|shaheed dweep/i },
+  { code: "BT", name: "Baratang Island", match: /baratang/i },
+  {
+    code: "LI",
+    name: "Long Island (Middle Andaman)",
+    match: /long island/i,
+  },
+  { code: "RG", name: "Rangat (Middle Andaman)", match: /rangat/i },
+  { code: "MY", name: "Mayabunder (Middle Andaman)", match: /mayabunder/i },
+  {
+    code: "DG",
+    name: "Diglipur (North Andaman)",
+    match: /diglipur|north andaman/i,
+  },
+  { code: "LA", name: "Little Andaman", match: /little andaman|hut bay/i },
+];
+
+// Codes for places that aren't stops in their own right: activities there
+// leave from the listed islands
+const ISLAND_GROUPS = {
+  RX: { name: "Ritchie's Archipelago", islands: ["HL", "NL"] },
+};
+
+export const PORT_BLAIR = ISLANDS[0].name;
+
+export const DEFAULT_ISLANDS = ISLANDS.map((i) => i.name);
+
+const BY_CODE = Object.fromEntries(ISLANDS.map((i) => [i.code, i]));
+const BY_NAME = Object.fromEntries(ISLANDS.map((i) => [i.name, i]));
+
+// Any spelling from the data → canonical name (unknown names pass through)
+export function normalizeIslandName(rawIsland) {
+  if (!rawIsland) return PORT_BLAIR;
+  const s = String(rawIsland).trim();
+  return ISLANDS.find((i) => i.match.test(s))?.name ?? s;
+}
+
+export const islandCode = (name) => BY_NAME[name]?.code ?? null;
+
+// "Havelock (Swaraj Dweep)" → "Havelock"
+export const shortIslandName = (name) => String(name).split(" (")[0];
+
+// operatedIn codes → canonical island names (groups expand to the islands
+// they're reached from; unknown codes are dropped)
+export function islandsForCodes(codes) {
+  const names = (codes || []).flatMap((code) => {
+    if (BY_CODE[code]) return [BY_CODE[code].name];
+    return (ISLAND_GROUPS[code]?.islands || []).map((c) => BY_CODE[c].name);
+  });
+  return Array.from(new Set(names));
+}
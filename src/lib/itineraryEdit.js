@@ -0,0 +1,77 @@
+/* -----------------------------------
+   Itinerary edits (move items and days)
+------------------------------------ */
+
+import { isTransitItem } from "./ferries.js";
+
+// Flights, the airport transfer and ferry / road legs hold the trip
+// together: moving any of them would strand the traveller somewhere.
+export const isLockedItem = (it) =>
+  it?.type === "arrival" ||
+  it?.type === "transfer" ||
+  it?.type === "departure" ||
+  isTransitItem(it);
+
+const isTravelDay = (day) => day.items.some(isTransitItem);
+
+const isFixedDay = (day) =>
+  day.items.some((it) => it.type === "arrival" || it.type === "departure");
+
+// Can `it` (a sight on `itemIsland`) go on this day? Not onto a travel day,
+// and not onto a day spent on another island.
+export function canDropItem(day, it, itemIsland) {
+  if (!day || isLockedItem(it) || isTravelDay(day)) return false;
+  return !itemIsland || day.island === itemIsland;
+}
+
+/**
+ * Move one item. `from` = { day, k } (index into `days[day].items`);
+ * `to` = { day, pos } where `pos` is the position in the target day's
+ * displayed order (`orderOf(day)` → item indices), counted without the
+ * moved item. The target day keeps exactly the order the traveller sees,
+ * so it's marked `ordered`.
+ */
+export function moveItemTo(days, from, to, orderOf) {
+  const item = days[from.day]?.items[from.k];
+  if (!item || !days[to.day]) return days;
+
+  return days.map((day, i) => {
+    if (i === to.day) {
+      const order = orderOf(i).filter((k) => !(i === from.day && k === from.k));
+      const items = order.map((k) => day.items[k]);
+      items.splice(Math.max(0, Math.min(to.pos, items.length)), 0, item);
+      return { ...day, items, ordered: true };
+    }
+    if (i === from.day) {
+      return { ...day, items: day.items.filter((_, k) => k !== from.k) };
+    }
+    return day;
+  });
+}
+
+/**
+ * Where day `i` may move to, as [first, last] day indices, or null when it
+ * can't move. Sightseeing days only swap with the days around them on the
+ * same island; crossing a ferry, the arrival or the departure would put
+ * them on the wrong island.
+ */
+export function dayMoveRange(days, i) {
+  const day = days[i];
+  if (!day || isTravelDay(day) || isFixedDay(day)) return null;
+  const movable = (d) =>
+    d && !isTravelDay(d) && !isFixedDay(d) && d.island === day.island;
+  let first = i;
+  let last = i;
+  while (movable(days[first - 1])) first -= 1;
+  while (movable(days[last + 1])) last += 1;
+  return first === last ? null : [first, last];
+}
+
+export function moveDay(days, from, to) {
+  const range = dayMoveRange(days, from);
+  if (!range || to < range[0] || to > range[1] || to === from) return days;
+  const copy = [...days];
+  const [day] = copy.splice(from, 1);
+  copy.splice(to, 0, day);
+  return copy;
+}
@@ -0,0 +1,62 @@
+/* -----------------------------------
+   Opening hours, closed days, show slots
+------------------------------------ */
+
+import { toMinutes, weekdayOf } from "./ferries.js";
+
+// Location schema (all optional):
+//   openingHours: [{ open: "09:00", close: "12:30" }, ...]   // same every open day
+//   closedDays:   ["Mon", ...]                              // weekly closures
+//   showTimes:    [{ time: "17:30", durationMin: 60, label: "..." }, ...]
+
+export function isClosedOn(loc, date) {
+  const weekday = weekdayOf(date);
+  if (!weekday || !loc) return false;
+  return (loc.closedDays || []).includes(weekday);
+}
+
+// Open windows in minutes since midnight, or null when not restricted
+export function openingWindows(loc) {
+  const list = (loc?.openingHours || [])
+    .map((h) => ({ start: toMinutes(h.open), end: toMinutes(h.close) }))
+    .filter((w) => w.start != null && w.end != null && w.end > w.start);
+  return list.length ? list : null;
+}
+
+// Ticketed show slots in minutes since midnight, earliest first, or null
+export function showSlots(loc) {
+  const list = (loc?.showTimes || [])
+    .map((s) => {
+      const start = toMinutes(s.time);
+      return {
+        start,
+        end: start + (s.durationMin || 60),
+        time: s.time,
+        label: s.label || "Show",
+      };
+    })
+    .filter((s) => s.start != null)
+    .sort((a, b) => a.start - b.start);
+  return list.length ? list : null;
+}
+
+export const formatOpeningHours = (loc) =>
+  (loc?.openingHours || []).map((h) => `${h.open}–${h.close}`).join(", ");
+
+export const formatShowTimes = (loc) =>
+  (loc?.showTimes || [])
+    .map((s) => (s.label ? `${s.time} ${s.label}` : s.time))
+    .join(" • ");
+
+// Warnings for the location items on a day that falls on a closed day
+export function closedDayWarnings(day, date, locById) {
+  if (!date) return [];
+  return day.items
+    .filter((it) => it.type === "location" && it.ref)
+    .map((it) => locById[it.ref])
+    .filter((loc) => isClosedOn(loc, date))
+    .map(
+      (loc) =>
+        `${loc.name} is closed on ${weekdayOf(date)} — move it to another day`
+    );
+}
@@ -0,0 +1,71 @@
+/* -----------------------------------
+   Activity pricing
+------------------------------------ */
+
+import { priceOn } from "./rateCalendar.js";
+import { canJoin } from "./travellers.js";
+
+// activities.json prices some adventures per person and the rest per boat,
+// kayak, kart, vehicle or guided group. A unit carries this many
+// travellers unless the activity has its own `capacity`.
+export const UNIT_CAPACITY = {
+  per_boat: 6,
+  per_group: 8,
+  per_kayak: 2,
+  per_kart: 2,
+  per_vehicle: 4,
+};
+
+const UNIT_NAMES = {
+  per_person: ["person", "people"],
+  per_boat: ["boat", "boats"],
+  per_group: ["group", "groups"],
+  per_kayak: ["kayak", "kayaks"],
+  per_kart: ["kart", "karts"],
+  per_vehicle: ["vehicle", "vehicles"],
+};
+
+// "2 boats", "1 person"
+export function unitLabel(unit, quantity) {
+  const [one, many] = UNIT_NAMES[unit] || UNIT_NAMES.per_person;
+  return `${quantity} ${quantity === 1 ? one : many}`;
+}
+
+export const unitCapacity = (act) =>
+  Number(act.capacity) > 0 ? Number(act.capacity) : UNIT_CAPACITY[act.unit];
+
+// Travellers (see travellers.js) who can join; the rest stay behind and
+// aren't charged
+export const eligibleTravellers = (act, travellers) =>
+  travellers.filter((t) => canJoin(act, t));
+
+/**
+ * What an activity costs the party, on `date` when it has one, by the
+ * rate calendar's `holidays` (see rateCalendar.js).
+ *
+ * Returns { unit, quantity, unitPrice, total, joining, excluded, capacity }
+ * — `quantity` is people for per_person activities and boats / kayaks / …
+ * otherwise (enough to carry everyone joining); `excluded` is how many
+ * travellers can't join (too young, can't swim, …).
+ */
+export function priceActivity(act, travellers, date = null, holidays) {
+  const unit = UNIT_NAMES[act.unit] ? act.unit : "per_person";
+  const unitPrice = priceOn(
+    "activity",
+    Number(act.basePriceINR ?? act.price) || 0,
+    date,
+    holidays
+  );
+  const joining = eligibleTravellers(act, travellers).length;
+  const capacity = unit === "per_person" ? 1 : unitCapacity(act) || 1;
+  const quantity = Math.ceil(joining / capacity);
+  return {
+    unit,
+    quantity,
+    unitPrice,
+    total: quantity * unitPrice,
+    joining,
+    excluded: travellers.length - joining,
+    capacity,
+  };
+}
@@ -0,0 +1,142 @@
+/* -----------------------------------
+   Rate calendar (prices by date)
+------------------------------------ */
+
+// Catalogue prices (hotels.json rates aside) are for an ordinary shoulder
+// season weekday. On a real date each kind of cost is scaled by the
+// season, any holiday the date falls in and the weekend:
+//   hotel    – a night's room rate (hotels.json tables already drop for
+//              Apr–Sep, so only the peak surcharge applies on top)
+//   ferry    – a ferry leg
+//   road     – a seat on an ATR road leg (Baratang and beyond)
+//   activity – an adventure, on the day it's scheduled
+//   ground   – a day's cab, taxi, scooter or bicycle
+// Holidays are blackout dates: off-season discounts don't apply, hotels
+// charge their top rate, and a holiday surcharge is added. The holiday
+// dates come from public/data/rate_calendar.json (see
+// normalizeRateCalendar) and are passed in by the caller.
+
+import { weekdayOf } from "./ferries.js";
+import { MONSOON_MONTHS, monthOf } from "./seasons.js";
+
+export const RATE_SEASONS = {
+  peak: {
+    label: "peak",
+    factors: { hotel: 1.2, ferry: 1.15, road: 1.1, activity: 1.1, ground: 1.2 },
+  },
+  shoulder: {
+    label: "shoulder",
+    factors: { hotel: 1, ferry: 1, road: 1, activity: 1, ground: 1 },
+  },
+  monsoon: {
+    label: "monsoon",
+    factors: { hotel: 1, ferry: 1, road: 0.9, activity: 0.85, ground: 0.85 },
+  },
+};
+
+// Dec–Jan
+const PEAK_MONTHS = new Set([11, 0]);
+
+export function seasonOf(date) {
+  const month = monthOf(date);
+  if (PEAK_MONTHS.has(month)) return "peak";
+  return MONSOON_MONTHS.has(month) ? "monsoon" : "shoulder";
+}
+
+const RECURRING = /^\d{2}-\d{2}$/;
+const DATED = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * The holidays of rate_calendar.json: [{ name, from, to }]. "MM-DD"
+ * ranges come round every year (and may run into the next); festivals
+ * that move get dated "YYYY-MM-DD" ranges, so each new year's dates are
+ * added to the data file. Malformed entries are dropped.
+ */
+export function normalizeRateCalendar(raw) {
+  const list = Array.isArray(raw?.holidays) ? raw.holidays : [];
+  return list.filter(
+    (h) =>
+      h?.name &&
+      ((RECURRING.test(h.from) && RECURRING.test(h.to)) ||
+        (DATED.test(h.from) && DATED.test(h.to)))
+  );
+}
+
+export const HOLIDAY_FACTORS = {
+  hotel: 1.25,
+  ferry: 1.1,
+  road: 1.1,
+  activity: 1.15,
+  ground: 1.25,
+};
+
+// Friday and Saturday nights for hotels; Saturday and Sunday otherwise
+export const WEEKEND_RATES = {
+  hotel: { days: ["Fri", "Sat"], factor: 1.1 },
+  activity: { days: ["Sat", "Sun"], factor: 1.05 },
+};
+
+const inRange = (date, { from, to }) => {
+  if (from.length > 5) return date >= from && date <= to;
+  const md = date.slice(5);
+  return from <= to ? md >= from && md <= to : md >= from || md <= to;
+};
+
+// The holiday a date falls in, or null
+export const holidayOn = (date, holidays = []) =>
+  (date && holidays.find((h) => inRange(date, h))?.name) || null;
+
+const percent = (factor) => {
+  const p = Math.round((factor - 1) * 100);
+  return p > 0 ? `+${p}%` : `−${-p}%`;
+};
+
+/**
+ * How a kind of cost is priced on a date ("YYYY-MM-DD"):
+ * { factor, season, holiday, weekend, notes } — `notes` reads like
+ * ["peak +20%", "Diwali +25%", "weekend +10%"]. `holidays` is the
+ * normalised rate calendar. Without a date the catalogue price stands
+ * (factor 1).
+ */
+export function rateOn(kind, date, holidays = []) {
+  if (!date) {
+    return {
+      factor: 1,
+      season: null,
+      holiday: null,
+      weekend: false,
+      notes: [],
+    };
+  }
+  const season = seasonOf(date);
+  const holiday = holidayOn(date, holidays);
+  const weekendRate = WEEKEND_RATES[kind];
+  const weekend = !!weekendRate && weekendRate.days.includes(weekdayOf(date));
+
+  const parts = [];
+  const seasonFactor = RATE_SEASONS[season].factors[kind] ?? 1;
+  // blackout dates: no off-season discount
+  if (seasonFactor !== 1 && !(holiday && seasonFactor < 1)) {
+    parts.push([RATE_SEASONS[season].label, seasonFactor]);
+  }
+  if (holiday) parts.push([holiday, HOLIDAY_FACTORS[kind] ?? 1]);
+  if (weekend) parts.push(["weekend", weekendRate.factor]);
+
+  return {
+    factor: parts.reduce((f, [, x]) => f * x, 1),
+    season,
+    holiday,
+    weekend,
+    notes: parts
+      .filter(([, x]) => x !== 1)
+      .map(([label, x]) => `${label} ${percent(x)}`),
+  };
+}
+
+// A catalogue price on a date, to the rupee
+export const priceOn = (kind, base, date, holidays) =>
+  Math.round(base * rateOn(kind, date, holidays).factor);
+
+// "peak +20%, weekend +10%" ("" on an ordinary day)
+export const rateNote = (kind, date, holidays) =>
+  rateOn(kind, date, holidays).notes.join(", ");
@@ -0,0 +1,199 @@
+/* -----------------------------------
+   Within-island road routing
+------------------------------------ */
+
+// There is no road-distance data for the islands yet, so every distance
+// here is an estimate: the straight-line (haversine) km between two points
+// times a detour factor for the island. Anything shown to the user from
+// these — route km, point-to-point fares, km over a cab's allowance — is
+// labelled as an estimate.
+
+import { hasCoords, haversineKm } from "./geo.js";
+
+// Roads wind around hills and creeks: straight-line km × this factor is a
+// fair estimate of the driven distance.
+const ROAD_FACTOR_BY_ISLAND = {
+  "Port Blair (South Andaman)": 1.35,
+  "Havelock (Swaraj Dweep)": 1.3,
+  "Neil (Shaheed Dweep)": 1.25,
+};
+const DEFAULT_ROAD_FACTOR = 1.4;
+
+// A stop without coordinates still costs a typical short hop
+const FALLBACK_HOP_KM = 6;
+
+// Above this many stops, exhaustive search gives way to nearest-neighbour +
+// 2-opt (planned days hold at most 4 stops, manual edits can add more)
+const MAX_EXHAUSTIVE = 7;
+
+// Estimated road km between two { lat, lng } points on an island
+export function estimateRoadKm(a, b, island) {
+  const km = haversineKm(a, b);
+  if (km == null) return FALLBACK_HOP_KM;
+  const factor = ROAD_FACTOR_BY_ISLAND[island] ?? DEFAULT_ROAD_FACTOR;
+  return Math.round(km * factor * 10) / 10;
+}
+
+// Estimated road km between every pair of { lat, lng } points
+// (null = unknown), keyed by index
+export function estimateDistanceMatrix(points, island) {
+  return points.map((a) => points.map((b) => estimateRoadKm(a, b, island)));
+}
+
+// Sunrise stops stay first and sunset stops last; the rest keep their
+// morning → afternoon order. Reordering only happens within a band.
+export function timeBand(stop) {
+  const tags = (stop.bestTimes || []).map((t) => String(t).toLowerCase());
+  if (tags.includes("sunrise")) return 0;
+  if (tags.includes("sunset") || tags.includes("evening")) return 4;
+  if (tags.includes("morning")) return 1;
+  if (tags.includes("afternoon")) return 3;
+  return 2;
+}
+
+// Base → stops… → base, as a list of indices into the matrix (0 = base)
+function loopKm(order, matrix) {
+  let km = 0;
+  let at = 0;
+  [...order, 0].forEach((idx) => {
+    km += matrix[at][idx];
+    at = idx;
+  });
+  return km;
+}
+
+const bandsInOrder = (order, bands) =>
+  order.every((idx, n) => n === 0 || bands[order[n - 1]] <= bands[idx]);
+
+function* permutations(list) {
+  if (list.length <= 1) {
+    yield list.slice();
+    return;
+  }
+  for (let i = 0; i < list.length; i++) {
+    const rest = [...list.slice(0, i), ...list.slice(i + 1)];
+    for (const p of permutations(rest)) yield [list[i], ...p];
+  }
+}
+
+function nearestNeighbour(indices, matrix, bands) {
+  const left = [...indices];
+  const out = [];
+  let at = 0;
+  while (left.length) {
+    const band = Math.min(...left.map((i) => bands[i]));
+    const pick = left
+      .filter((i) => bands[i] === band)
+      .sort((a, b) => matrix[at][a] - matrix[at][b])[0];
+    left.splice(left.indexOf(pick), 1);
+    out.push(pick);
+    at = pick;
+  }
+  return out;
+}
+
+function twoOpt(order, matrix, bands) {
+  let best = order;
+  let bestKm = loopKm(best, matrix);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < best.length - 1; i++) {
+      for (let j = i + 1; j < best.length; j++) {
+        const next = [
+          ...best.slice(0, i),
+          ...best.slice(i, j + 1).reverse(),
+          ...best.slice(j + 1),
+        ];
+        const km = loopKm(next, matrix);
+        if (km < bestKm - 0.05 && bandsInOrder(next, bands)) {
+          best = next;
+          bestKm = km;
+          improved = true;
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Order a day's stops for the least driving, starting and ending at `base`
+ * (the hotel; we use the island's jetty until hotels have coordinates).
+ *
+ * opts: { base: { lat, lng }, island, coordsOf(stop) }
+ * Returns the stops in their new order; the input is left untouched.
+ */
+export function optimiseStopOrder(stops, opts = {}) {
+  if (stops.length < 2) return stops.slice();
+  const { base, island, coordsOf = (s) => s.coordinates } = opts;
+  const points = [base, ...stops.map(coordsOf)].map((c) =>
+    hasCoords(c) ? c : null
+  );
+  const matrix = estimateDistanceMatrix(points, island);
+  const bands = [0, ...stops.map(timeBand)];
+  const indices = stops.map((_, n) => n + 1);
+
+  let best = null;
+  if (stops.length <= MAX_EXHAUSTIVE) {
+    for (const p of permutations(indices)) {
+      if (!bandsInOrder(p, bands)) continue;
+      const km = loopKm(p, matrix);
+      if (!best || km < best.km - 0.05) best = { order: p, km };
+    }
+  } else {
+    const order = twoOpt(
+      nearestNeighbour(indices, matrix, bands),
+      matrix,
+      bands
+    );
+    best = { order };
+  }
+  return best.order.map((idx) => stops[idx - 1]);
+}
+
+/**
+ * The drive for a day in the given stop order: base → stops… → base.
+ * Returns { legs: [{ from, to, km }], km } with names for display; the km
+ * are estimates (see estimateRoadKm).
+ */
+export function dayRoute(stops, opts = {}) {
+  const {
+    base,
+    baseName = "Hotel",
+    island,
+    coordsOf = (s) => s.coordinates,
+  } = opts;
+  if (!stops.length) return { legs: [], km: 0 };
+
+  const points = [
+    { name: baseName, coords: base },
+    ...stops.map((s) => ({ name: s.name, coords: coordsOf(s) })),
+    { name: baseName, coords: base },
+  ];
+  const legs = points.slice(1).map((p, n) => ({
+    from: points[n].name,
+    to: p.name,
+    km: estimateRoadKm(points[n].coords, p.coords, island),
+  }));
+  const km = Math.round(legs.reduce((acc, l) => acc + l.km, 0) * 10) / 10;
+  return { legs, km };
+}
+
+/**
+ * Point-to-point fare for a route: every leg is a separate taxi hop charged
+ * `flagFare + perKm × km`, never less than `minFare`.
+ *
+ * tariff: { flagFare, perKm, minFare }
+ */
+export function priceRoute(route, tariff) {
+  const perLeg = route.legs.map((l) =>
+    Math.max(tariff.minFare, Math.round(tariff.flagFare + tariff.perKm * l.km))
+  );
+  return {
+    hops: route.legs.length,
+    km: route.km,
+    amount: perLeg.reduce((acc, n) => acc + n, 0),
+    perLeg,
+  };
+}
@@ -0,0 +1,184 @@
+/* -----------------------------------
+   Island route graph (ferry + ATR road)
+------------------------------------ */
+
+import { TRANSFER_BUFFER_MIN, toMinutes } from "./ferries.js";
+
+// Changing boats / vehicles costs time even on paper: a penalty per extra
+// leg keeps the router from preferring three short hops over one direct boat.
+const LEG_PENALTY_MIN = 90;
+
+// "1h30m–2h45m" / "2h" / "45m–1h15m" → minutes of the quicker end
+function parseDurationText(text) {
+  const first = String(text || "").split(/[–-]/)[0];
+  const h = first.match(/(\d+)\s*h/);
+  const m = first.match(/(\d+)\s*m/);
+  if (!h && !m) return null;
+  return (h ? parseInt(h[1], 10) * 60 : 0) + (m ? parseInt(m[1], 10) : 0);
+}
+
+// One edge per route; duration = the fastest scheduled departure
+export function buildRouteGraph(timetable) {
+  const edges = {};
+
+  (timetable?.routes || []).forEach((route) => {
+    if (!route || !route.from || !route.to) return;
+    const durations = (timetable.sailings || [])
+      .filter((s) => s.routeId === route.id)
+      .map((s) => s.durationMin);
+    const durationMin = durations.length
+      ? Math.min(...durations)
+      : parseDurationText(route.duration);
+    if (!durationMin) return;
+
+    if (!edges[route.from]) edges[route.from] = [];
+    edges[route.from].push({
+      routeId: route.id,
+      mode: route.mode || "ferry",
+      from: route.from,
+      to: route.to,
+      durationMin,
+      fareINR: typeof route.fareINR === "number" ? route.fareINR : null,
+      classes: route.classes || [],
+    });
+  });
+
+  return { edges, sailings: timetable?.sailings || [] };
+}
+
+export const graphIslands = (graph) => {
+  const s = new Set();
+  Object.values(graph?.edges || {}).forEach((list) =>
+    list.forEach((e) => {
+      s.add(e.from);
+      s.add(e.to);
+    })
+  );
+  return Array.from(s);
+};
+
+// Shortest connection A → B (Dijkstra on duration + per-leg penalty).
+// Returns { legs, durationMin } or null when the islands aren't connected.
+export function findConnection(graph, from, to) {
+  if (!from || !to || from === to) return { legs: [], durationMin: 0 };
+
+  const cost = { [from]: 0 };
+  const prevEdge = {};
+  const done = new Set();
+
+  while (true) {
+    let current = null;
+    Object.keys(cost).forEach((node) => {
+      if (done.has(node)) return;
+      if (current === null || cost[node] < cost[current]) current = node;
+    });
+    if (current === null) return null;
+    if (current === to) break;
+    done.add(current);
+
+    (graph?.edges?.[current] || []).forEach((edge) => {
+      const next = cost[current] + edge.durationMin + LEG_PENALTY_MIN;
+      if (cost[edge.to] === undefined || next < cost[edge.to]) {
+        cost[edge.to] = next;
+        prevEdge[edge.to] = edge;
+      }
+    });
+  }
+
+  const legs = [];
+  for (let node = to; node !== from; node = prevEdge[node].from) {
+    legs.unshift(prevEdge[node]);
+  }
+  return {
+    legs,
+    durationMin: legs.reduce((acc, l) => acc + l.durationMin, 0),
+  };
+}
+
+// Itinerary items for a connection; one item per leg
+export function connectionItems(graph, from, to) {
+  const conn = findConnection(graph, from, to);
+
+  // Unknown islands / no data: keep a single (flagged) ferry leg so the trip
+  // still shows where the traveller has to move
+  if (!conn || !conn.legs.length) {
+    return [
+      {
+        type: "ferry",
+        name: `Ferry ${from} → ${to}`,
+        from,
+        to,
+        mode: "ferry",
+      },
+    ];
+  }
+
+  return conn.legs.map((leg) => ({
+    type: leg.mode === "road" ? "road" : "ferry",
+    name: `${leg.mode === "road" ? "Road (ATR)" : "Ferry"} ${leg.from} → ${
+      leg.to
+    }`,
+    from: leg.from,
+    to: leg.to,
+    mode: leg.mode,
+    routeId: leg.routeId,
+    durationMin: leg.durationMin,
+    fareINR: leg.fareINR,
+    classes: leg.classes,
+  }));
+}
+
+// Split a connection into travel days: legs stay on the same day while
+// some departure of the next leg still connects after the previous arrival.
+export function connectionDays(graph, from, to) {
+  const out = [[]];
+  let readyAt = 0;
+
+  connectionItems(graph, from, to).forEach((it) => {
+    const options = (graph?.sailings || []).filter(
+      (s) => s.from === it.from && s.to === it.to
+    );
+    let next = options.find((s) => toMinutes(s.depart) >= readyAt);
+    if (!next && options.length && out[out.length - 1].length) {
+      out.push([]);
+      next = options[0];
+    }
+    out[out.length - 1].push(it);
+    if (next) {
+      readyAt = next.overnight
+        ? 1440
+        : toMinutes(next.arrive) + TRANSFER_BUFFER_MIN;
+    }
+  });
+
+  return out;
+}
+
+// Cost of one leg per adult: ferries scale with the chosen class (falling
+// back to the best class the route actually offers), road seats don't.
+export function legFarePerAdult(leg, ferryClass, classMult, fallbackFare) {
+  const base =
+    typeof leg.fareINR === "number" ? leg.fareINR : safeFare(fallbackFare);
+  if (leg.type === "road" || leg.mode === "road") return base;
+
+  const order = Object.keys(classMult);
+  const offered = leg.classes?.length ? leg.classes : order;
+  let cls = ferryClass;
+  if (!offered.includes(cls)) {
+    cls =
+      order
+        .slice(0, order.indexOf(ferryClass) + 1)
+        .reverse()
+        .find((c) => offered.includes(c)) || offered[0];
+  }
+  return base * (classMult[cls] ?? 1);
+}
+
+const safeFare = (n) => (typeof n === "number" && isFinite(n) ? n : 0);
+
+export const durationLabel = (mins) => {
+  if (!Number.isFinite(mins)) return "";
+  const h = Math.floor(mins / 60);
+  const m = mins % 60;
+  return h ? `${h}h${m ? ` ${m}m` : ""}` : `${m}m`;
+};
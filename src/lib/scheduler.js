@@ -0,0 +1,248 @@
+/* -----------------------------------
+   Day scheduler (hour-by-hour timeline)
+------------------------------------ */
+
+import { fromMinutes, isTransitItem, toMinutes } from "./ferries.js";
+import { openingWindows, showSlots } from "./openingHours.js";
+
+// Andaman runs on IST but sits far east: the sun is up by ~05:30 and down
+// by ~17:30 most of the year.
+export const SUNRISE = "05:30";
+export const SUNSET = "17:30";
+
+const DAY_START = "08:00";
+const DAY_END = "19:30";
+const AFTERNOON = "13:00";
+
+// Defaults until real flight times are known
+export const DEFAULT_ARRIVAL_TIME = "10:00";
+export const DEFAULT_DEPARTURE_TIME = "13:00";
+
+const TRANSFER_MIN = 45; // airport / jetty → hotel
+const CHECKIN_BEFORE_SAILING_MIN = 60;
+const CHECKIN_BEFORE_FLIGHT_MIN = 120;
+
+// Typical drive between two sights on the same island
+const TRAVEL_MIN_BY_ISLAND = {
+  "Port Blair (South Andaman)": 30,
+  "Havelock (Swaraj Dweep)": 20,
+  "Neil (Shaheed Dweep)": 15,
+};
+const DEFAULT_TRAVEL_MIN = 30;
+
+export const travelMinutes = (island) =>
+  TRAVEL_MIN_BY_ISLAND[island] ?? DEFAULT_TRAVEL_MIN;
+
+// Free-text "bestTime" → tags the scheduler understands
+export function parseBestTimes(text) {
+  const s = String(text || "").toLowerCase();
+  const tags = [];
+  if (/sunrise/.test(s)) tags.push("sunrise");
+  if (/morning/.test(s)) tags.push("morning");
+  if (/afternoon/.test(s)) tags.push("afternoon");
+  if (/evening/.test(s)) tags.push("evening");
+  if (/sunset/.test(s)) tags.push("sunset");
+  return tags;
+}
+
+const itemMinutes = (it) => {
+  if (Number.isFinite(it.durationMin)) return it.durationMin;
+  if (Number.isFinite(it.durationHrs)) return Math.round(it.durationHrs * 60);
+  return 120;
+};
+
+// Where in the day an item would like to start
+function preferredStart(it, durationMin) {
+  const tags = (it.bestTimes || []).map((t) => String(t).toLowerCase());
+  if (tags.includes("sunrise")) return toMinutes(SUNRISE) - 15;
+  if (tags.includes("morning")) return toMinutes(DAY_START);
+  if (tags.includes("afternoon")) return toMinutes(AFTERNOON);
+  if (tags.includes("sunset") || tags.includes("evening")) {
+    // finish just after the sun goes down
+    return toMinutes(SUNSET) + 30 - durationMin;
+  }
+  return toMinutes(DAY_START);
+}
+
+// Sunrise items go first, sunset items last, everything else in between
+const placementRank = (it) => {
+  const tags = it.bestTimes || [];
+  if (tags.includes("sunrise")) return 0;
+  if (tags.includes("sunset") || tags.includes("evening")) return 1;
+  if (tags.includes("morning")) return 2;
+  if (tags.includes("afternoon")) return 3;
+  return 4;
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Give every item in a day a start/end time.
+ *
+ * Fixed items (flights, sailings) keep their own times; sights are slotted
+ * around them with a drive between stops. Returns a new day whose items
+ * carry `start` / `end` ("HH:MM") or `unscheduled: true` + `scheduleNote`.
+ *
+ * ctx: { arrivalTime, departureTime, travelMin(island), locById }
+ * Locations with `openingHours` (looked up via `locById`) are only placed
+ * inside those windows; ones with `showTimes` are booked into a show slot
+ * (`show` on the item), or marked `showMissed` when none can be reached. A day with `ordered: true` (put in order by hand)
+ * keeps its sights in item order instead of sorting them by time of day.
+ */
+export function scheduleDay(day, ctx = {}) {
+  const travel = (ctx.travelMin || travelMinutes)(day.island);
+  const arrivalAt = toMinutes(ctx.arrivalTime || DEFAULT_ARRIVAL_TIME);
+  const departAt = toMinutes(ctx.departureTime || DEFAULT_DEPARTURE_TIME);
+
+  const busy = []; // { start, end } in minutes since midnight
+  const slots = new Array(day.items.length).fill(null);
+  let earliest = toMinutes(SUNRISE) - 15;
+  let latest = toMinutes(DAY_END);
+
+  // 1) Fixed items
+  day.items.forEach((it, k) => {
+    if (it.type === "arrival") {
+      slots[k] = { start: arrivalAt, end: arrivalAt + 30 };
+    } else if (it.type === "transfer") {
+      slots[k] = { start: arrivalAt + 30, end: arrivalAt + 30 + TRANSFER_MIN };
+    } else if (it.type === "departure") {
+      slots[k] = { start: departAt - CHECKIN_BEFORE_FLIGHT_MIN, end: departAt };
+      latest = Math.min(latest, departAt - CHECKIN_BEFORE_FLIGHT_MIN - travel);
+    } else if (isTransitItem(it) && it.sailing) {
+      const start = toMinutes(it.sailing.depart);
+      const end = it.sailing.overnight
+        ? 1440
+        : toMinutes(it.sailing.arrive);
+      slots[k] = { start, end };
+      busy.push({
+        start: start - CHECKIN_BEFORE_SAILING_MIN,
+        end: Math.min(1440, end + TRANSFER_MIN),
+      });
+      return;
+    }
+    if (slots[k]) busy.push({ ...slots[k] });
+  });
+
+  // Nothing happens before the traveller has landed
+  if (day.items.some((it) => it.type === "arrival")) {
+    earliest = Math.max(earliest, arrivalAt + 30 + TRANSFER_MIN);
+  }
+
+  // 2) Flexible items, most time-sensitive first (or in the traveller's order)
+  const showsOf = (it) => (it.ref ? showSlots(ctx.locById?.[it.ref]) : null);
+  const flexible = day.items
+    .map((it, k) => ({ it, k }))
+    .filter(({ k }) => !slots[k])
+    .filter(({ it }) => !isTransitItem(it));
+  if (!day.ordered) {
+    // show slots are as good as fixed, so they're booked first
+    flexible.sort(
+      (a, b) =>
+        !!showsOf(b.it) - !!showsOf(a.it) ||
+        placementRank(a.it) - placementRank(b.it)
+    );
+  }
+
+  // On ordered days every stop starts after the previous one
+  let after = earliest;
+
+  flexible.forEach(({ it, k }) => {
+    const dur = itemMinutes(it);
+    const floor = day.ordered ? after : earliest;
+
+    const shows = showsOf(it);
+    const show = shows?.find(
+      (s) =>
+        s.start >= floor &&
+        s.end <= latest &&
+        !busy.some((b) => overlaps(b, { start: s.start - travel, end: s.end }))
+    );
+    if (show) {
+      slots[k] = { start: show.start, end: show.end, show: show.label };
+      busy.push({ start: show.start - travel, end: show.end });
+      after = show.end + travel;
+      return;
+    }
+
+    const wanted = Math.max(floor, preferredStart(it, dur));
+    const windows = it.ref ? openingWindows(ctx.locById?.[it.ref]) : null;
+
+    // candidate starts: the preferred time, right after each busy block and
+    // whenever the place opens
+    const candidates = [
+      wanted,
+      ...busy.map((b) => b.end + travel),
+      ...(windows || []).map((w) => w.start),
+      floor,
+    ]
+      .filter((t) => t >= floor)
+      .sort((a, b) => Math.abs(a - wanted) - Math.abs(b - wanted) || a - b);
+
+    const fit = candidates.find((start) => {
+      const slot = { start: start - travel, end: start + dur };
+      return (
+        start + dur <= latest &&
+        (!windows ||
+          windows.some((w) => start >= w.start && start + dur <= w.end)) &&
+        !busy.some((b) => overlaps(b, { start: slot.start, end: slot.end }))
+      );
+    });
+
+    if (fit === undefined) {
+      slots[k] = {
+        unscheduled: true,
+        showMissed: !!shows,
+        note: windows
+          ? "Doesn't fit this day within opening hours"
+          : "Doesn't fit in this day",
+      };
+      return;
+    }
+    slots[k] = { start: fit, end: fit + dur, showMissed: !!shows };
+    busy.push({ start: fit - travel, end: fit + dur });
+    after = fit + dur + travel;
+  });
+
+  return {
+    ...day,
+    items: day.items.map((it, k) => {
+      const slot = slots[k];
+      if (!slot) return { ...it, start: null, end: null };
+      if (slot.unscheduled) {
+        return {
+          ...it,
+          start: null,
+          end: null,
+          unscheduled: true,
+          scheduleNote: slot.note,
+          show: null,
+          showMissed: slot.showMissed,
+        };
+      }
+      return {
+        ...it,
+        start: fromMinutes(slot.start),
+        end: slot.end >= 1440 ? "24:00" : fromMinutes(slot.end),
+        unscheduled: false,
+        scheduleNote: null,
+        show: slot.show || null,
+        showMissed: !!slot.showMissed,
+      };
+    }),
+  };
+}
+
+// Every sight gets a slot (and any show it has)
+export const dayFits = (day, ctx) =>
+  !scheduleDay(day, ctx).items.some((it) => it.unscheduled || it.showMissed);
+
+// Items in time order, keeping their index in `day.items` for editing
+export function timelineOf(day) {
+  return day.items
+    .map((it, k) => ({ it, k }))
+    .sort((a, b) => {
+      const sa = a.it.start ? toMinutes(a.it.start) : Infinity;
+      const sb = b.it.start ? toMinutes(b.it.start) : Infinity;
+      return sa - sb || a.k - b.k;
+    });
+}
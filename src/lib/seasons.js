@@ -0,0 +1,96 @@
+/* -----------------------------------
+   Seasons (month ranges)
+------------------------------------ */
+
+// Activities give their season as "Jan-Mar"; locations describe theirs in
+// free text ("November to April, mornings for calmer seas", "Post-monsoon
+// to early winter…"). Both come down to a set of month indexes (0 = Jan).
+
+const MONTHS = [
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+];
+
+const SHORT = MONTHS.map((m) => m[0].toUpperCase() + m.slice(1, 3));
+
+// Seasonal phrases that stand in for a month
+const SEASON_WORDS = { "post-monsoon": 9, "early winter": 11 };
+
+const POINT = new RegExp(
+  `(${Object.keys(SEASON_WORDS).join("|")})|\\b(${MONTHS.join(
+    "|"
+  )}|sept|${MONTHS.map((m) => m.slice(0, 3)).join("|")})\\b`,
+  "g"
+);
+
+const pointIndex = ([, word, month]) =>
+  word ? SEASON_WORDS[word] : MONTHS.findIndex((m) => m.startsWith(month));
+
+// "Jan-Mar", "November to April" (wraps past December) → set of month
+// indexes. Blank, "Year-round" or anything without a month → null, i.e.
+// every month.
+export function parseSeason(text) {
+  const s = String(text || "").toLowerCase();
+  if (!s.trim() || /year[\s-]*round|all year/.test(s)) return null;
+  const points = Array.from(s.matchAll(POINT), pointIndex).slice(0, 2);
+  if (!points.length) return null; // unreadable: don't block anything
+  const [from, to = from] = points;
+  const months = new Set();
+  for (let i = from; ; i = (i + 1) % 12) {
+    months.add(i);
+    if (i === to) break;
+  }
+  return months;
+}
+
+// "YYYY-MM-DD" → 0–11
+export const monthOf = (date) => Number(String(date).slice(5, 7)) - 1;
+
+export function inSeason(season, date) {
+  if (!date) return true;
+  const months = parseSeason(season);
+  return !months || months.has(monthOf(date));
+}
+
+// In season on at least one of the trip's dates (no dates = yes)
+export const inSeasonDuring = (season, dates) =>
+  !dates?.length || dates.some((d) => inSeason(season, d));
+
+// Month indexes → "Nov–Apr" (runs that wrap the year stay in one piece)
+function monthsLabel(months) {
+  const list = Array.from(months);
+  if (list.length === 12) return "year-round";
+  const start = list.find((m) => !months.has((m + 11) % 12)) ?? list[0];
+  const end = list.find((m) => !months.has((m + 1) % 12)) ?? list[0];
+  return start === end ? SHORT[start] : `${SHORT[start]}–${SHORT[end]}`;
+}
+
+// "Jan-Mar" → "Jan–Mar", "November to April, mornings" → "Nov–Apr"
+export function seasonLabel(season) {
+  const months = parseSeason(season);
+  return months ? monthsLabel(months) : "year-round";
+}
+
+// The months a run of dates falls in: "Jul", "Dec–Jan"
+export const tripMonthsLabel = (dates) =>
+  monthsLabel(new Set(dates.map(monthOf)));
+
+/* -----------------------------------
+   Monsoon
+------------------------------------ */
+
+// The south-west monsoon brings rough seas from May to September; ferries
+// run late or are cancelled at short notice
+export const MONSOON_MONTHS = new Set([4, 5, 6, 7, 8]);
+
+export const isMonsoon = (date) => !!date && MONSOON_MONTHS.has(monthOf(date));
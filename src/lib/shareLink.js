@@ -0,0 +1,252 @@
+/* -----------------------------------
+   Shareable trip links
+------------------------------------ */
+
+// The whole trip doc (see tripStorage.js) travels in the URL hash:
+//   https://…/#trip=<base64url>
+// No backend involved. To keep links short, keys are shortened and every
+// repeated string in the itinerary (island names, item names…) is stored
+// once in a string table `t` and referenced by index.
+
+import { TRIP_SCHEMA_VERSION } from "./tripStorage.js";
+
+export const SHARE_PARAM = "trip";
+
+const ITEM_KEYS = {
+  type: "k",
+  name: "n",
+  ref: "r",
+  durationHrs: "h",
+  bestTimes: "b",
+  from: "f",
+  to: "o",
+  mode: "m",
+  routeId: "i",
+  durationMin: "d",
+  fareINR: "p",
+  classes: "c",
+};
+// Item fields holding strings (or lists of strings) that go in the table
+const ITEM_STRING_KEYS = new Set([
+  "type",
+  "name",
+  "ref",
+  "bestTimes",
+  "from",
+  "to",
+  "mode",
+  "routeId",
+  "classes",
+]);
+const ITEM_KEYS_BACK = Object.fromEntries(
+  Object.entries(ITEM_KEYS).map(([k, v]) => [v, k])
+);
+
+function stringTable() {
+  const list = [];
+  const index = new Map();
+  const put = (s) => {
+    const key = String(s);
+    if (!index.has(key)) {
+      index.set(key, list.length);
+      list.push(key);
+    }
+    return index.get(key);
+  };
+  return { list, put };
+}
+
+function packItem(it, put) {
+  const out = {};
+  Object.entries(it).forEach(([key, value]) => {
+    if (value == null) return;
+    const short = ITEM_KEYS[key];
+    if (!short) return; // derived fields (sailings, times) are rebuilt
+    if (!ITEM_STRING_KEYS.has(key)) out[short] = value;
+    else if (Array.isArray(value)) out[short] = value.map(put);
+    else out[short] = put(value);
+  });
+  return out;
+}
+
+function unpackItem(packed, table) {
+  const at = (n) => table[n];
+  const out = {};
+  Object.entries(packed || {}).forEach(([short, value]) => {
+    const key = ITEM_KEYS_BACK[short];
+    if (!key) return;
+    if (!ITEM_STRING_KEYS.has(key)) out[key] = value;
+    else if (Array.isArray(value)) out[key] = value.map(at);
+    else out[key] = at(value);
+  });
+  return out;
+}
+
+// Flight numbers and times as a short array (left out when all blank)
+const FLIGHT_KEYS = [
+  "arrivalNumber",
+  "arrivalTime",
+  "departureNumber",
+  "departureTime",
+];
+
+function packFlights(flights) {
+  const values = FLIGHT_KEYS.map((k) => flights?.[k] || "");
+  return values.some(Boolean) ? values : undefined;
+}
+
+const unpackFlights = (values) =>
+  Object.fromEntries(
+    FLIGHT_KEYS.map((k, i) => [k, (Array.isArray(values) && values[i]) || ""])
+  );
+
+// Travellers as [name, age, swimmer, diver, mobility] rows
+const packTraveller = (t) => [
+  t.name || "",
+  t.age ?? null,
+  t.swimmer === false ? 0 : 1,
+  t.diver || "",
+  t.mobility || "",
+];
+
+const unpackTraveller = ([name, age, swimmer, diver, mobility]) => ({
+  name,
+  age,
+  swimmer: swimmer !== 0,
+  diver,
+  mobility,
+});
+
+// Trip doc → compact JSON-able object
+function pack(doc) {
+  const { list, put } = stringTable();
+  const essentials = doc.essentials || {};
+  return {
+    v: doc.version ?? TRIP_SCHEMA_VERSION,
+    s: doc.step,
+    sd: doc.startDate || undefined,
+    tr: (doc.travellers || []).map(packTraveller),
+    pb: doc.startPB ? 1 : 0,
+    e: doc.endIsland ? put(doc.endIsland) : undefined,
+    fl: packFlights(doc.flights),
+    l: doc.selectedIds,
+    y: (doc.days || []).map((d) => [
+      put(d.island),
+      put(d.transport ?? "—"),
+      d.items.map((it) => packItem(it, put)),
+      ...(d.ordered ? [1] : []),
+    ]),
+    sc: (doc.scooterIslands || []).map(put),
+    bc: (doc.bicycleIslands || []).map(put),
+    h: Object.entries(doc.chosenHotels || {}).map(([isl, id]) => [
+      put(isl),
+      id,
+    ]),
+    rp: Object.entries(doc.roomPlans || {})
+      .filter(([, plan]) => plan)
+      .map(([isl, plan]) => [
+        put(isl),
+        plan.hotelId,
+        Object.entries(plan.rooms || {}),
+      ]),
+    ss: Object.entries(doc.staySplits || {}).map(([key, cuts]) => [
+      put(key),
+      cuts,
+    ]),
+    f: essentials.ferryClass,
+    c: essentials.cabModelId,
+    x: doc.addonIds,
+    de: doc.daysEdited ? 1 : 0,
+    t: list,
+  };
+}
+
+function unpack(p) {
+  const table = Array.isArray(p.t) ? p.t : [];
+  const at = (n) => table[n];
+  const list = (v) => (Array.isArray(v) ? v : []);
+  return {
+    version: p.v,
+    step: p.s,
+    startDate: p.sd || "",
+    travellers: list(p.tr).filter(Array.isArray).map(unpackTraveller),
+    startPB: p.pb === 1,
+    endIsland: p.e != null ? at(p.e) : "",
+    flights: unpackFlights(p.fl),
+    selectedIds: list(p.l),
+    days: list(p.y).map(([island, transport, items, ordered]) => ({
+      island: at(island),
+      transport: at(transport),
+      items: list(items).map((it) => unpackItem(it, table)),
+      ...(ordered === 1 ? { ordered: true } : {}),
+    })),
+    scooterIslands: list(p.sc).map(at),
+    bicycleIslands: list(p.bc).map(at),
+    chosenHotels: Object.fromEntries(
+      list(p.h).map(([isl, id]) => [at(isl), id])
+    ),
+    roomPlans: Object.fromEntries(
+      list(p.rp).map(([isl, hotelId, rooms]) => [
+        at(isl),
+        { hotelId, rooms: Object.fromEntries(list(rooms)) },
+      ])
+    ),
+    staySplits: Object.fromEntries(
+      list(p.ss).map(([key, cuts]) => [at(key), list(cuts)])
+    ),
+    essentials: {
+      ...(p.f ? { ferryClass: p.f } : {}),
+      ...(p.c ? { cabModelId: p.c } : {}),
+    },
+    addonIds: list(p.x),
+    daysEdited: p.de === 1,
+  };
+}
+
+/* -----------------------------------
+   base64url (UTF-8 safe)
+------------------------------------ */
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach((b) => {
+    bin += String.fromCharCode(b);
+  });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(code) {
+  const b64 = code.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  const bytes = Uint8Array.from(bin, (ch) => ch.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+export function encodeTrip(doc) {
+  return toBase64Url(JSON.stringify(pack(doc)));
+}
+
+// Returns the trip doc, or null when the code is damaged
+export function decodeTrip(code) {
+  try {
+    const packed = JSON.parse(fromBase64Url(String(code || "")));
+    return packed && typeof packed === "object" ? unpack(packed) : null;
+  } catch (e) {
+    console.warn("Shared trip link unreadable:", e);
+    return null;
+  }
+}
+
+// Full link for the current page
+export function shareUrl(doc, location = window.location) {
+  const base = `${location.origin}${location.pathname}${location.search}`;
+  return `${base}#${SHARE_PARAM}=${encodeTrip(doc)}`;
+}
+
+// The trip in the current URL hash, if any
+export function readSharedTrip(location = window.location) {
+  const hash = String(location?.hash || "").replace(/^#/, "");
+  const code = new URLSearchParams(hash).get(SHARE_PARAM);
+  return code ? decodeTrip(code) : null;
+}
@@ -0,0 +1,114 @@
+/* -----------------------------------
+   Hotel stays
+------------------------------------ */
+
+// Each night of the trip is spent on the island the day ends on: the
+// day's own island, or where the last ferry / road leg lands on a travel
+// day. Nobody sleeps over after the departure day.
+//
+// A stay is a run of consecutive nights on one island in one hotel; the
+// traveller can split a run to move hotels part-way through. Hotel and
+// room picks are keyed by the stay:
+//   "<island>#<visit>"           the nth separate run of nights there
+//   "<island>#<visit>/<offset>"  the part of a split run starting at its
+//                                `offset`th night
+
+import { isTransitItem } from "./ferries.js";
+
+// The island a day ends on, or null when the trip ends that day
+export function nightIsland(day) {
+  if (day.items.some((it) => it.type === "departure")) return null;
+  const legs = day.items.filter(isTransitItem);
+  return legs[legs.length - 1]?.to || day.island;
+}
+
+/**
+ * One entry per night: [{ day, date, island, arrivedFrom }] — `day` is
+ * the index of the day the night follows and `arrivedFrom` the island a
+ * travel day set out from (null when the day didn't move).
+ */
+export function tripNights(days, { dateOf = () => null } = {}) {
+  return days.flatMap((day, i) => {
+    const island = nightIsland(day);
+    if (!island) return [];
+    return [
+      {
+        day: i,
+        date: dateOf(i),
+        island,
+        arrivedFrom: island === day.island ? null : day.island,
+      },
+    ];
+  });
+}
+
+// "Havelock (Swaraj Dweep)#2/1" → "Havelock (Swaraj Dweep)"
+export const stayIsland = (key) => String(key).replace(/#[^#]*$/, "");
+
+/**
+ * days → [{ key, runKey, island, offset, nights, dates, checkInDay,
+ *           checkOutDay, checkIn, checkOut }]
+ *
+ * `nights` are day indexes (one per night), `dates` their dates and
+ * checkIn / checkOut the first night's date and the morning after the last
+ * (null without dates). `splits` ({ runKey: [offset] }) cuts runs;
+ * `dateOf(i)` gives day i's date.
+ */
+export function staySegments(days, { dateOf = () => null, splits = {} } = {}) {
+  const runs = [];
+  const visits = {};
+  tripNights(days).forEach(({ day: i, island }) => {
+    const last = runs[runs.length - 1];
+    if (
+      last &&
+      last.island === island &&
+      last.nights[last.nights.length - 1] === i - 1
+    ) {
+      last.nights.push(i);
+      return;
+    }
+    visits[island] = (visits[island] || 0) + 1;
+    runs.push({ key: `${island}#${visits[island]}`, island, nights: [i] });
+  });
+
+  return runs.flatMap((run) => {
+    const cuts = [
+      0,
+      ...new Set(
+        (splits[run.key] || []).filter((n) => n > 0 && n < run.nights.length)
+      ),
+    ].sort((a, b) => a - b);
+    return cuts.map((offset, k) => {
+      const nights = run.nights.slice(offset, cuts[k + 1]);
+      const checkOutDay = nights[nights.length - 1] + 1;
+      return {
+        key: offset ? `${run.key}/${offset}` : run.key,
+        runKey: run.key,
+        island: run.island,
+        offset,
+        nights,
+        dates: nights.map(dateOf),
+        checkInDay: nights[0],
+        checkOutDay,
+        checkIn: dateOf(nights[0]),
+        checkOut: dateOf(checkOutDay),
+      };
+    });
+  });
+}
+
+// Split a stay after its first `nights` nights → new splits
+export function splitStay(splits, stay, nights) {
+  const offset = stay.offset + nights;
+  const list = splits[stay.runKey] || [];
+  if (list.includes(offset)) return splits;
+  return { ...splits, [stay.runKey]: [...list, offset] };
+}
+
+// Join a split-off stay back onto the one before it → new splits
+export function mergeStay(splits, stay) {
+  const list = (splits[stay.runKey] || []).filter((n) => n !== stay.offset);
+  const next = { ...splits, [stay.runKey]: list };
+  if (!list.length) delete next[stay.runKey];
+  return next;
+}
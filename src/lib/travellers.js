@@ -0,0 +1,130 @@
+/* -----------------------------------
+   Travellers (ages and abilities)
+------------------------------------ */
+
+// One entry per person on the trip:
+//   { name, age, swimmer, diver, mobility }
+// `age` is null for an adult who didn't give one. `diver` is a
+// certification level from DIVER_LEVELS ("" = none); `mobility` is "",
+// "limited" or "wheelchair".
+
+export const newTraveller = (fields = {}) => ({
+  name: "",
+  age: null,
+  swimmer: true,
+  diver: "",
+  mobility: "",
+  ...fields,
+});
+
+export const DEFAULT_TRAVELLERS = [newTraveller(), newTraveller()];
+
+export const travellerLabel = (t, i) => t.name?.trim() || `Traveller ${i + 1}`;
+
+/* -----------------------------------
+   Age bands
+------------------------------------ */
+
+export const AGE_BANDS = [
+  { id: "infant", one: "infant", many: "infants", maxAge: 1 },
+  { id: "child", one: "child", many: "children", maxAge: 11 },
+  { id: "adult", one: "adult", many: "adults", maxAge: 59 },
+  { id: "senior", one: "senior", many: "seniors", maxAge: Infinity },
+];
+
+export function ageBand(age) {
+  if (age == null) return "adult";
+  return AGE_BANDS.find((b) => age <= b.maxAge).id;
+}
+
+// "2 adults, 1 child" (grown-ups first)
+export function describeParty(travellers) {
+  const counts = {};
+  travellers.forEach((t) => {
+    const band = ageBand(t.age);
+    counts[band] = (counts[band] || 0) + 1;
+  });
+  return [...AGE_BANDS]
+    .reverse()
+    .filter((b) => counts[b.id])
+    .map((b) => `${counts[b.id]} ${counts[b.id] === 1 ? b.one : b.many}`)
+    .join(", ");
+}
+
+// Share of the adult ferry fare each band pays: infants travel on a lap,
+// children under 12 pay half
+export const FERRY_FARE_SHARE = {
+  infant: 0,
+  child: 0.5,
+  adult: 1,
+  senior: 1,
+};
+
+// How many adult fares the party adds up to
+export const ferryFareUnits = (travellers) =>
+  travellers.reduce((sum, t) => sum + FERRY_FARE_SHARE[ageBand(t.age)], 0);
+
+/* -----------------------------------
+   Activity eligibility
+------------------------------------ */
+
+export const DIVER_LEVELS = [
+  { id: "", label: "Not certified" },
+  { id: "open_water", label: "Open Water" },
+  { id: "advanced", label: "Advanced Open Water or higher" },
+];
+
+const diverRank = (level) => DIVER_LEVELS.findIndex((l) => l.id === level);
+
+const DIFFICULTY_RANK = { easy: 0, moderate: 1, challenging: 2 };
+
+// Hardest difficulty each mobility level can take on; wheelchair users
+// also skip categories that mean getting into the water or onto a trail
+const MOBILITY_MAX_DIFFICULTY = { limited: 0, wheelchair: 0 };
+const WHEELCHAIR_EXCLUDED = new Set([
+  "dive",
+  "water",
+  "trek",
+  "adrenaline",
+  "adventure",
+  "sport",
+]);
+
+/**
+ * Can this traveller join the activity? Returns null when they can, else
+ * the reason they can't. Checks `ageMin`, `requires` ({ swimmer,
+ * diverCert }) and, against the traveller's mobility, `difficulty`.
+ */
+export function joinBlocker(act, t) {
+  const ageMin = Number(act.ageMin) || 0;
+  if (t.age != null && t.age < ageMin) return `ages ${ageMin}+`;
+  const req = act.requires || {};
+  if (req.swimmer && !t.swimmer) return "swimmers only";
+  if (req.diverCert && diverRank(t.diver) < diverRank(req.diverCert)) {
+    const level = DIVER_LEVELS.find((l) => l.id === req.diverCert);
+    return `needs ${level?.label || "a"} certification`;
+  }
+  const maxDifficulty = MOBILITY_MAX_DIFFICULTY[t.mobility];
+  if (maxDifficulty != null) {
+    if ((DIFFICULTY_RANK[act.difficulty] ?? 0) > maxDifficulty) {
+      return `${act.difficulty} — not suited to limited mobility`;
+    }
+    if (t.mobility === "wheelchair" && WHEELCHAIR_EXCLUDED.has(act.category)) {
+      return "not wheelchair accessible";
+    }
+  }
+  return null;
+}
+
+export const canJoin = (act, t) => !joinBlocker(act, t);
+
+// Who in the party can't join, and why: [{ index, label, reason }]
+export function partyBlockers(act, travellers) {
+  return travellers
+    .map((t, index) => ({
+      index,
+      label: travellerLabel(t, index),
+      reason: joinBlocker(act, t),
+    }))
+    .filter((b) => b.reason);
+}
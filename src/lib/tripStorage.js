@@ -0,0 +1,191 @@
+/* -----------------------------------
+   Saved trips (localStorage)
+------------------------------------ */
+
+// Everything lives under one key:
+//   { activeId, trips: [{ id, name, updatedAt, doc }] }
+// `doc` is a versioned snapshot of the planner state. Sets are stored as
+// arrays; `migrateTrip` brings older docs up to TRIP_SCHEMA_VERSION.
+
+import { newTraveller } from "./travellers.js";
+
+export const STORAGE_KEY = "andaman-planner:trips";
+export const TRIP_SCHEMA_VERSION = 1;
+
+export const DEFAULT_TRIP_NAME = "My Andaman trip";
+
+const asArray = (v) => (Array.isArray(v) ? v : []);
+
+// Version n → n + 1, added as the schema changes (1 is the first)
+const MIGRATIONS = {};
+
+// Keep the known traveller fields, with sane types
+const cleanTraveller = (t) =>
+  newTraveller({
+    name: typeof t.name === "string" ? t.name : "",
+    age: Number.isFinite(t.age) && t.age >= 0 ? Math.floor(t.age) : null,
+    swimmer: t.swimmer !== false,
+    diver: typeof t.diver === "string" ? t.diver : "",
+    mobility: typeof t.mobility === "string" ? t.mobility : "",
+  });
+
+export function migrateTrip(doc) {
+  if (!doc || typeof doc !== "object") return null;
+  let out = { ...doc };
+  let version = out.version;
+  if (!Number.isInteger(version) || version < 1) return null;
+  if (version > TRIP_SCHEMA_VERSION) return null; // from a newer app build
+  while (version < TRIP_SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (step) out = step(out);
+    version += 1;
+  }
+  return { ...out, version };
+}
+
+// Planner state → storable doc
+export function serializeTrip(state) {
+  return {
+    version: TRIP_SCHEMA_VERSION,
+    step: state.step,
+    startDate: state.startDate,
+    travellers: asArray(state.travellers),
+    startPB: state.startPB,
+    endIsland: state.endIsland,
+    flights: state.flights || {},
+    selectedIds: asArray(state.selectedIds),
+    days: asArray(state.days),
+    scooterIslands: Array.from(state.scooterIslands || []),
+    bicycleIslands: Array.from(state.bicycleIslands || []),
+    chosenHotels: state.chosenHotels || {},
+    roomPlans: state.roomPlans || {},
+    staySplits: state.staySplits || {},
+    essentials: state.essentials || {},
+    addonIds: asArray(state.addonIds),
+    daysEdited: !!state.daysEdited,
+  };
+}
+
+// Stored doc → planner state. Missing or malformed fields are left out so
+// the caller's defaults apply. Returns null for anything unusable.
+export function deserializeTrip(raw) {
+  const doc = migrateTrip(raw);
+  if (!doc) return null;
+  const state = {
+    step: Number.isInteger(doc.step) ? doc.step : undefined,
+    startDate: typeof doc.startDate === "string" ? doc.startDate : undefined,
+    travellers: Array.isArray(doc.travellers)
+      ? doc.travellers
+          .filter((t) => t && typeof t === "object")
+          .map(cleanTraveller)
+      : undefined,
+    startPB: typeof doc.startPB === "boolean" ? doc.startPB : undefined,
+    endIsland: typeof doc.endIsland === "string" ? doc.endIsland : undefined,
+    flights:
+      doc.flights && typeof doc.flights === "object" ? doc.flights : undefined,
+    selectedIds: asArray(doc.selectedIds),
+    days: asArray(doc.days).filter((d) => d && Array.isArray(d.items)),
+    scooterIslands: new Set(asArray(doc.scooterIslands)),
+    bicycleIslands: new Set(asArray(doc.bicycleIslands)),
+    chosenHotels:
+      doc.chosenHotels && typeof doc.chosenHotels === "object"
+        ? doc.chosenHotels
+        : {},
+    roomPlans:
+      doc.roomPlans && typeof doc.roomPlans === "object" ? doc.roomPlans : {},
+    staySplits:
+      doc.staySplits && typeof doc.staySplits === "object"
+        ? doc.staySplits
+        : {},
+    essentials:
+      doc.essentials && typeof doc.essentials === "object"
+        ? doc.essentials
+        : undefined,
+    addonIds: asArray(doc.addonIds),
+    daysEdited:
+      typeof doc.daysEdited === "boolean" ? doc.daysEdited : undefined,
+  };
+  return Object.fromEntries(
+    Object.entries(state).filter(([, v]) => v !== undefined)
+  );
+}
+
+/* -----------------------------------
+   Store (index of named trips)
+------------------------------------ */
+
+const emptyStore = () => ({ activeId: null, trips: [] });
+
+const getStorage = () => {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch {
+    return null; // e.g. storage disabled in private mode
+  }
+};
+
+export function loadTripStore(storage = getStorage()) {
+  if (!storage) return emptyStore();
+  try {
+    const parsed = JSON.parse(storage.getItem(STORAGE_KEY) || "null");
+    if (!parsed || !Array.isArray(parsed.trips)) return emptyStore();
+    const trips = parsed.trips.filter((t) => t && t.id && t.doc);
+    const activeId = trips.some((t) => t.id === parsed.activeId)
+      ? parsed.activeId
+      : trips[0]?.id || null;
+    return { activeId, trips };
+  } catch (e) {
+    console.warn("Saved trips unreadable, starting fresh:", e);
+    return emptyStore();
+  }
+}
+
+// Returns false when the write failed (quota, storage disabled)
+export function saveTripStore(store, storage = getStorage()) {
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(store));
+    return true;
+  } catch (e) {
+    console.warn("Could not save trip:", e);
+    return false;
+  }
+}
+
+export const newTripId = () =>
+  `trip_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+export const activeTrip = (store) =>
+  store.trips.find((t) => t.id === store.activeId) || null;
+
+// Insert or replace a trip's doc (and name, when given)
+export function upsertTrip(store, id, doc, name) {
+  const existing = store.trips.find((t) => t.id === id);
+  const entry = {
+    id,
+    name: name || existing?.name || DEFAULT_TRIP_NAME,
+    updatedAt: new Date().toISOString(),
+    doc,
+  };
+  return {
+    ...store,
+    trips: existing
+      ? store.trips.map((t) => (t.id === id ? entry : t))
+      : [...store.trips, entry],
+  };
+}
+
+export function renameTrip(store, id, name) {
+  return {
+    ...store,
+    trips: store.trips.map((t) => (t.id === id ? { ...t, name } : t)),
+  };
+}
+
+export function removeTrip(store, id) {
+  const trips = store.trips.filter((t) => t.id !== id);
+  return {
+    activeId: store.activeId === id ? trips[0]?.id || null : store.activeId,
+    trips,
+  };
+}
@@ -0,0 +1,366 @@
+/* -----------------------------------
+   Itinerary validation
+------------------------------------ */
+
+// Checks a scheduled itinerary (days with start times, see scheduler.js)
+// and returns issues: { day, rule, severity, message }. "error" issues
+// make the trip unbookable; "warning" issues are worth a look but the trip
+// still works.
+
+import { isTransitItem, toMinutes } from "./ferries.js";
+import { closedDayWarnings, showSlots } from "./openingHours.js";
+import { DEFAULT_DEPARTURE_TIME, timelineOf } from "./scheduler.js";
+import {
+  PORT_BLAIR,
+  islandsForCodes,
+  shortIslandName as shortName,
+} from "./islands.js";
+import { inSeason, seasonLabel } from "./seasons.js";
+import { partyBlockers } from "./travellers.js";
+
+// Flights land at and leave from Veer Savarkar (IXZ)
+export const AIRPORT_ISLAND = PORT_BLAIR;
+
+const islandOf = (it, ctx) => ctx.locById?.[it.ref]?.island;
+
+// Where the traveller wakes up on each day: the airport island on day 1,
+// then wherever the previous day's last ferry / road leg ended
+function startIslands(days) {
+  let here = AIRPORT_ISLAND;
+  return days.map((day) => {
+    const start = here;
+    const legs = timelineOf(day)
+      .map(({ it }) => it)
+      .filter(isTransitItem);
+    here = legs.length ? legs[legs.length - 1].to : day.island;
+    return start;
+  });
+}
+
+// Walk a day in time order, calling visit(item, islandAtThatTime)
+function walkDay(day, start, visit) {
+  let here = start;
+  timelineOf(day).forEach(({ it }) => {
+    visit(it, here);
+    if (isTransitItem(it)) here = it.to;
+  });
+  return here;
+}
+
+/* -----------------------------------
+   Rules
+------------------------------------ */
+
+// Every sight has to be on an island the traveller is on that day
+function islandConsistency(days, ctx, starts) {
+  return days.flatMap((day, i) => {
+    const reachable = new Set([
+      starts[i],
+      ...day.items.filter(isTransitItem).map((it) => it.to),
+    ]);
+    return day.items
+      .filter((it) => it.type === "location" && islandOf(it, ctx))
+      .filter((it) => !reachable.has(islandOf(it, ctx)))
+      .map((it) => ({
+        day: i,
+        severity: "error",
+        message: `${it.name} is on ${shortName(islandOf(it, ctx))}, but Day ${
+          i + 1
+        } is spent on ${shortName(day.island)}`,
+      }));
+  });
+}
+
+// …at a time the traveller is there: after the ferry that gets there, and
+// before the one that leaves
+function ferryBeforeVisit(days, ctx, starts) {
+  return days.flatMap((day, i) => {
+    const out = [];
+    const legs = day.items.filter(isTransitItem);
+    const reachable = new Set([starts[i], ...legs.map((it) => it.to)]);
+    const arrived = new Set([starts[i]]);
+    walkDay(day, starts[i], (it, here) => {
+      if (isTransitItem(it)) arrived.add(it.to);
+      const island = it.type === "location" && islandOf(it, ctx);
+      if (!island || island === here || !reachable.has(island)) return;
+      const leg = legs.find((l) => l.to === island);
+      out.push({
+        day: i,
+        severity: "error",
+        message: arrived.has(island)
+          ? `${it.name} is scheduled after you've left ${shortName(island)}`
+          : `${it.name} is scheduled before the ${
+              leg?.mode === "road" ? "drive" : "ferry"
+            } to ${shortName(island)}`,
+      });
+    });
+    return out;
+  });
+}
+
+// Sightseeing (sights and adventures) plus travel time against the daily
+// budget (pure travel days are as long as the crossing), and anything the
+// scheduler couldn't fit
+function hoursBudget(days, ctx) {
+  const maxHours = ctx.maxHours ?? 7;
+  return days.flatMap((day, i) => {
+    const sights = day.items.reduce(
+      (sum, it) =>
+        sum +
+        (it.type === "location"
+          ? Number(it.durationHrs) || 0
+          : it.type === "activity"
+          ? (Number(it.durationMin) || 0) / 60
+          : 0),
+      0
+    );
+    const travel =
+      day.items
+        .filter(isTransitItem)
+        .reduce((sum, it) => sum + (Number(it.durationMin) || 0), 0) / 60;
+    const out = [];
+    if (sights > 0 && sights + travel > maxHours) {
+      out.push({
+        day: i,
+        severity: "warning",
+        message: `About ${Math.round(
+          sights + travel
+        )}h of sightseeing and travel — more than the ${maxHours}h a day we plan for`,
+      });
+    }
+    const unfit = day.items.filter((it) => it.unscheduled);
+    if (unfit.length) {
+      out.push({
+        day: i,
+        severity: "warning",
+        message: `${unfit.map((it) => it.name).join(", ")} ${
+          unfit.length === 1 ? "doesn't" : "don't"
+        } fit in this day`,
+      });
+    }
+    return out;
+  });
+}
+
+// One flight out, on the last day
+function departureLastDay(days) {
+  const last = days.length - 1;
+  const out = [];
+  days.forEach((day, i) => {
+    if (i !== last && day.items.some((it) => it.type === "departure")) {
+      out.push({
+        day: i,
+        severity: "error",
+        message: `The flight home is on Day ${
+          i + 1
+        }, but the trip runs to Day ${last + 1}`,
+      });
+    }
+  });
+  if (last >= 0 && !days[last].items.some((it) => it.type === "departure")) {
+    out.push({
+      day: last,
+      severity: "error",
+      message: "The last day has no flight home",
+    });
+  }
+  return out;
+}
+
+// Flights leave from Port Blair, so the traveller has to be back there
+function returnToAirport(days, ctx, starts) {
+  return days.flatMap((day, i) => {
+    const out = [];
+    walkDay(day, starts[i], (it, here) => {
+      if (it.type === "departure" && here !== AIRPORT_ISLAND) {
+        out.push({
+          day: i,
+          severity: "error",
+          message: `You're still on ${shortName(
+            here
+          )} at flight time — add a ferry back to ${shortName(
+            AIRPORT_ISLAND
+          )} first`,
+        });
+      }
+    });
+    return out;
+  });
+}
+
+// Ferries run late and get cancelled in rough weather: one that docks
+// less than this long before the flight leaves no room to catch up
+const FERRY_FLIGHT_BUFFER_HOURS = 12;
+
+function ferryBeforeFlight(days, ctx) {
+  let last = days.length - 1;
+  while (last >= 0 && !days[last].items.some((it) => it.type === "departure")) {
+    last -= 1;
+  }
+  if (last < 0) return [];
+  const departure = days[last].items.find((it) => it.type === "departure");
+  const flightAt =
+    last * 1440 + toMinutes(departure.end || DEFAULT_DEPARTURE_TIME);
+  const flight = ctx.departureFlight
+    ? `your flight (${ctx.departureFlight})`
+    : "your flight";
+  return [last - 1, last].flatMap((i) =>
+    (days[i]?.items || [])
+      .filter((it) => it.type === "ferry")
+      .filter((it) => {
+        // without a sailing only a ferry on the flight day is known to be
+        // too close
+        if (!it.sailing) return i === last;
+        const docksAt =
+          i * 1440 +
+          toMinutes(it.sailing.arrive) +
+          (it.sailing.overnight ? 1440 : 0);
+        return flightAt - docksAt < FERRY_FLIGHT_BUFFER_HOURS * 60;
+      })
+      .map((it) => ({
+        day: i,
+        severity: "warning",
+        message: `The ${shortName(it.from)} → ${shortName(it.to)} ferry ${
+          it.sailing
+            ? `docks at ${it.sailing.arrive}, less than ${FERRY_FLIGHT_BUFFER_HOURS} hours before`
+            : "is on the same day as"
+        } ${flight} — a delay or weather cancellation could make you miss it. A spare day in Port Blair is safer.`,
+      }))
+  );
+}
+
+function closedDays(days, ctx) {
+  if (!ctx.dateOf) return [];
+  return days.flatMap((day, i) =>
+    closedDayWarnings(day, ctx.dateOf(i), ctx.locById || {}).map((message) => ({
+      day: i,
+      severity: "warning",
+      message,
+    }))
+  );
+}
+
+// A sight with ticketed shows that the scheduler couldn't get into any of
+// them, e.g. after being moved onto a day already busy that evening
+function missedShows(days, ctx) {
+  const times = (it) =>
+    (showSlots(ctx.locById?.[it.ref]) || []).map((s) => s.time).join(", ");
+  return days.flatMap((day, i) =>
+    day.items
+      .filter((it) => it.showMissed && !it.unscheduled)
+      .map((it) => ({
+        day: i,
+        severity: "warning",
+        message: `None of ${it.name}'s shows (${times(
+          it
+        )}) fit this day — move it to a day with a free evening`,
+      }))
+  );
+}
+
+// Adventures on the itinerary, with their activity record
+function placedActivities(days, ctx) {
+  return days.flatMap((day, i) =>
+    day.items
+      .filter((it) => it.type === "activity" && ctx.activityById?.[it.ref])
+      .map((it) => ({ it, day, i, act: ctx.activityById[it.ref] }))
+  );
+}
+
+// An adventure only runs from the islands in its `operatedIn`
+function activityIsland(days, ctx) {
+  return placedActivities(days, ctx).flatMap(({ it, day, i, act }) => {
+    const islands = islandsForCodes(act.operatedIn);
+    if (!islands.length || islands.includes(day.island)) return [];
+    return [
+      {
+        day: i,
+        severity: "error",
+        message: `${it.name} runs on ${islands
+          .map(shortName)
+          .join(" / ")}, but Day ${i + 1} is spent on ${shortName(day.island)}`,
+      },
+    ];
+  });
+}
+
+function activitySeason(days, ctx) {
+  if (!ctx.dateOf) return [];
+  return placedActivities(days, ctx)
+    .filter(({ act, i }) => !inSeason(act.season, ctx.dateOf(i)))
+    .map(({ it, i, act }) => ({
+      day: i,
+      severity: "warning",
+      message: `${it.name} only runs ${seasonLabel(
+        act.season
+      )} — it may not be operating on ${ctx.dateOf(i)}`,
+    }));
+}
+
+// Travellers too young, or without the swimming, certification or
+// mobility an adventure needs (see travellers.js)
+function activityParty(days, ctx) {
+  if (!ctx.travellers?.length) return [];
+  return placedActivities(days, ctx).flatMap(({ it, i, act }) => {
+    const blocked = partyBlockers(act, ctx.travellers);
+    if (!blocked.length) return [];
+    return [
+      {
+        day: i,
+        severity: "warning",
+        message: `${
+          blocked.length === ctx.travellers.length
+            ? "Nobody in your party"
+            : blocked.map((b) => b.label).join(", ")
+        } can't join ${it.name} (${Array.from(
+          new Set(blocked.map((b) => b.reason))
+        ).join("; ")})`,
+      },
+    ];
+  });
+}
+
+export const RULES = {
+  islandConsistency,
+  ferryBeforeVisit,
+  hoursBudget,
+  departureLastDay,
+  returnToAirport,
+  ferryBeforeFlight,
+  closedDays,
+  missedShows,
+  activityIsland,
+  activitySeason,
+  activityParty,
+};
+
+/**
+ * Run every rule over scheduled days.
+ *
+ * ctx: { locById, activityById, maxHours,
+ *        dateOf(dayIndex) → "YYYY-MM-DD" | null,
+ *        departureFlight,    // flight number, for messages
+ *        travellers }        // see travellers.js
+ */
+export function validateItinerary(days, ctx = {}) {
+  if (!days?.length) return [];
+  const starts = startIslands(days);
+  return Object.entries(RULES).flatMap(([rule, check]) =>
+    check(days, ctx, starts).map((issue) => ({ rule, ...issue }))
+  );
+}
+
+// Issues grouped per day, errors first
+export function issuesByDay(issues, dayCount) {
+  const out = Array.from({ length: dayCount }, () => []);
+  issues.forEach((issue) => out[issue.day]?.push(issue));
+  return out.map((list) =>
+    list.sort(
+      (a, b) =>
+        (a.severity === "error" ? 0 : 1) - (b.severity === "error" ? 0 : 1)
+    )
+  );
+}
+
+export const hasBlockingIssues = (issues) =>
+  issues.some((issue) => issue.severity === "error");